@@ -0,0 +1,106 @@
+const { randomBytes, createHash } = require('crypto');
+const { createStore } = require('./store');
+
+/**
+ * API key roles:
+ *   operator    - issuance and token agent actions (mint, register, freeze, pause, ...)
+ *   compliance  - compliance officer: investor registration and freezes
+ *   readonly    - read-only access to investor data
+ */
+const ROLES = ['operator', 'compliance', 'readonly'];
+
+// Only the SHA-256 of each key is stored; the plaintext is shown once, at creation
+const apiKeyStore = createStore('apiKeys');
+
+function hashApiKey(apiKey) {
+    return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Creates an API key for a role.
+ * @param {string} name A label for the key holder (e.g. "ops-dashboard").
+ * @param {string} role One of ROLES.
+ * @returns {{ id: string, name: string, role: string, apiKey: string }} The key record and its plaintext key.
+ */
+function createApiKey(name, role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}". Roles: ${ROLES.join(', ')}.`);
+    }
+    const apiKey = `rwa_${randomBytes(32).toString('hex')}`;
+    const record = {
+        id: randomBytes(6).toString('hex'),
+        name,
+        role,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    apiKeyStore.set(hashApiKey(apiKey), record);
+    return { ...record, apiKey };
+}
+
+/**
+ * Lists stored API keys (without their hashes).
+ * @returns {object[]} The key records.
+ */
+function listApiKeys() {
+    return apiKeyStore.all();
+}
+
+/**
+ * Revokes an API key by id.
+ * @param {string} id The key id.
+ * @returns {boolean} True if a live key was revoked.
+ */
+function revokeApiKey(id) {
+    // Records are stored by key hash, so look the entry up by id
+    const hash = apiKeyStore.keys().find(key => apiKeyStore.get(key).id === id);
+    const record = hash && apiKeyStore.get(hash);
+    if (!record || record.revokedAt) {
+        return false;
+    }
+    apiKeyStore.set(hash, { ...record, revokedAt: new Date().toISOString() });
+    return true;
+}
+
+/**
+ * Resolves a plaintext API key to its live record.
+ * @param {string} apiKey The key from the X-API-Key header.
+ * @returns {object|null} The key record, or null if unknown or revoked.
+ */
+function findApiKey(apiKey) {
+    const record = apiKeyStore.get(hashApiKey(apiKey));
+    return record && !record.revokedAt ? record : null;
+}
+
+/**
+ * Express middleware factory: requires an X-API-Key belonging to one of the given roles.
+ * Responds 401 when the key is missing or unknown and 403 when its role is not allowed.
+ * @param {...string} roles The roles allowed on the route.
+ * @returns {function} The middleware.
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const apiKey = req.get('x-api-key');
+        if (!apiKey) {
+            return res.status(401).json({ error: 'An API key is required (X-API-Key header).' });
+        }
+        const record = findApiKey(apiKey);
+        if (!record) {
+            return res.status(401).json({ error: 'Invalid or revoked API key.' });
+        }
+        if (!roles.includes(record.role)) {
+            console.warn(`[auth] Denied ${req.method} ${req.path} to API key ${record.id} (${record.role}).`);
+            return res.status(403).json({ error: `This action requires one of the roles: ${roles.join(', ')}.` });
+        }
+        req.apiKey = record;
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    requireRole
+};
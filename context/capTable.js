@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const { getProvider } = require('./config');
+const { getToken, formatTokenAmount } = require('./tokenCatalogue');
+const { getTransferHistory } = require('./indexer');
+
+const CSV_COLUMNS = ['wallet', 'identity', 'country', 'balance', 'frozen'];
+
+// totalSupply just before a block; a token not deployed yet has none
+async function supplyBefore(token, block) {
+    try {
+        return await token.totalSupply({ blockTag: block - 1 });
+    } catch (error) {
+        if (ethers.isError(error, 'BAD_DATA') || ethers.isError(error, 'CALL_EXCEPTION')) {
+            return 0n;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Builds a token's cap table as of a block: balances are replayed from the indexed Transfer history,
+ * then each holder's identity and country (identity registry) and frozen amount (token) are read at that
+ * block. Reading state at a past block needs an archive RPC node. A token that already had a supply before its
+ * indexed history starts (minted before the indexer's startBlock, with no deployedAtBlock in the catalogue) is
+ * refused with a 422, and a table whose holders still do not add up to totalSupply is a 422 unless
+ * allowUnreconciled is set.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @param {string|number} [block] The block number; defaults to the latest indexed block.
+ * @param {object} [options] { allowUnreconciled } to return a table that does not reconcile, flagged in its totals.
+ * @returns {Promise<object>} {
+ *            tokenId, tokenAddress, block, timestamp, holders: [{ wallet, identity, country, balance, frozen }],
+ *            totals: { holders, balance, frozen, totalSupply, difference, reconciled }
+ *          } with amounts as decimal strings, holders by balance descending.
+ */
+async function getCapTable(tokenIdOrAddress, block, { allowUnreconciled = false } = {}) {
+    if (block !== undefined && !/^\d+$/.test(String(block))) {
+        throw Object.assign(new Error('block must be a block number.'), { statusCode: 400 });
+    }
+    const entry = await getToken(tokenIdOrAddress);
+    const history = getTransferHistory(entry.address, block === undefined ? undefined : Number(block));
+    const blockTag = history.block;
+    const provider = getProvider();
+    const token = new ethers.Contract(entry.address, TOKEN_ABI.abi, provider);
+    if (history.indexedFrom > 0 && await supplyBefore(token, history.indexedFrom) > 0n) {
+        throw Object.assign(
+            new Error(`${entry.symbol} already had a supply at block ${history.indexedFrom - 1}, before its indexed history starts, `
+                + 'so its holders cannot be rebuilt. Register it again with its deployedAtBlock (POST /tokens), or set the '
+                + "indexer's startBlock at or before its deployment, and let the indexer backfill it."),
+            { statusCode: 422 }
+        );
+    }
+
+    const balances = new Map();
+    for (const { from, to, value } of history.transfers) {
+        if (from !== ethers.ZeroAddress) {
+            balances.set(from, (balances.get(from) || 0n) - value);
+        }
+        if (to !== ethers.ZeroAddress) {
+            balances.set(to, (balances.get(to) || 0n) + value);
+        }
+    }
+
+    const idRegistry = new ethers.Contract(entry.identityRegistry, IDENTITY_REGISTRY_ABI.abi, provider);
+    const holders = [];
+    let holdersTotal = 0n;
+    let frozenTotal = 0n;
+    for (const [wallet, balance] of balances) {
+        if (balance === 0n) {
+            continue;
+        }
+        const [identity, country, frozen] = await Promise.all([
+            idRegistry.identity(wallet, { blockTag }),
+            idRegistry.investorCountry(wallet, { blockTag }),
+            token.getFrozenTokens(wallet, { blockTag })
+        ]);
+        holdersTotal += balance;
+        frozenTotal += frozen;
+        holders.push({
+            wallet,
+            identity: identity === ethers.ZeroAddress ? null : identity,
+            country: identity === ethers.ZeroAddress ? null : Number(country),
+            units: balance,
+            balance: formatTokenAmount(entry, balance),
+            frozen: formatTokenAmount(entry, frozen)
+        });
+    }
+    holders.sort((a, b) => (a.units === b.units ? 0 : a.units > b.units ? -1 : 1));
+
+    const totalSupply = await token.totalSupply({ blockTag });
+    const difference = totalSupply - holdersTotal;
+    const totals = {
+        holders: holders.length,
+        balance: formatTokenAmount(entry, holdersTotal),
+        frozen: formatTokenAmount(entry, frozenTotal),
+        totalSupply: formatTokenAmount(entry, totalSupply),
+        // Non-zero when the indexer started after the token's first mint, so part of its history is missing
+        difference: (difference < 0n ? '-' : '') + formatTokenAmount(entry, difference < 0n ? -difference : difference),
+        reconciled: difference === 0n
+    };
+    if (difference !== 0n) {
+        console.warn(`[captable] ${entry.symbol} at block ${blockTag}: holders total ${holdersTotal} but totalSupply is ${totalSupply}.`);
+        if (!allowUnreconciled) {
+            throw Object.assign(
+                new Error(`Holders total ${totals.balance} ${entry.symbol} but totalSupply is ${totals.totalSupply} at block ${blockTag}; `
+                    + 'the indexed history is incomplete. Pass allowUnreconciled to get the table anyway.'),
+                { statusCode: 422, totals }
+            );
+        }
+    }
+    return {
+        tokenId: entry.id,
+        tokenAddress: entry.address,
+        symbol: entry.symbol,
+        block: blockTag,
+        timestamp: new Date((await provider.getBlock(blockTag)).timestamp * 1000).toISOString(),
+        holders: holders.map(({ units, ...holder }) => holder),
+        totals
+    };
+}
+
+/**
+ * Renders a cap table as CSV, one line per holder under a header line, then TOTAL (holders' balance and
+ * frozen), TOTAL_SUPPLY and DIFFERENCE lines so the file reconciles on its own.
+ * @param {object} capTable The result of getCapTable.
+ * @returns {string} The CSV text.
+ */
+function capTableToCsv(capTable) {
+    const lines = capTable.holders.map(holder => CSV_COLUMNS.map(column => (holder[column] === null ? '' : holder[column])).join(','));
+    const { totals } = capTable;
+    const totalLines = [
+        ['TOTAL', '', '', totals.balance, totals.frozen],
+        ['TOTAL_SUPPLY', '', '', totals.totalSupply, ''],
+        ['DIFFERENCE', '', '', totals.difference, '']
+    ].map(cells => cells.join(','));
+    return [CSV_COLUMNS.join(','), ...lines, ...totalLines].join('\n') + '\n';
+}
+
+module.exports = {
+    getCapTable,
+    capTableToCsv
+};
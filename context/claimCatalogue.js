@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+const { randomBytes } = require('crypto');
+
+/**
+ * Fields every claim payload carries:
+ *   attributesHash  keccak256(abi.encode(salt, canonical JSON of the verified attributes))
+ *   issuedAt        unix seconds
+ *   expiresAt       unix seconds
+ *   level           verification level reported by the vendor (topic-specific meaning)
+ */
+const BASE_FIELDS = [
+    { name: 'attributesHash', type: 'bytes32' },
+    { name: 'issuedAt', type: 'uint64' },
+    { name: 'expiresAt', type: 'uint64' },
+    { name: 'level', type: 'uint8' }
+];
+
+/**
+ * Claim topics the server can issue, keyed by name.
+ * `fields` is the ABI schema of the claim data, encoded in this order.
+ */
+const CLAIM_TOPICS = {
+    KYC: {
+        topic: 42,
+        description: 'Identity verified (Know Your Customer)',
+        fields: BASE_FIELDS,
+        validityDays: 365,
+        defaultLevel: 1
+    },
+    AML: {
+        topic: 43,
+        description: 'Anti-money-laundering screening passed',
+        fields: BASE_FIELDS,
+        validityDays: 180,
+        defaultLevel: 1
+    },
+    ACCREDITED_INVESTOR: {
+        topic: 44,
+        description: 'Accredited or professional investor status',
+        fields: BASE_FIELDS,
+        validityDays: 90,
+        defaultLevel: 1
+    },
+    JURISDICTION: {
+        topic: 45,
+        description: 'Residence jurisdiction (ISO 3166-1 numeric country code)',
+        fields: [...BASE_FIELDS, { name: 'country', type: 'uint16' }],
+        validityDays: 365,
+        defaultLevel: 1
+    }
+};
+
+/**
+ * Looks up a catalogue entry by name ("KYC") or numeric topic id (42).
+ * @param {string|number} topicKeyOrId The topic name or id.
+ * @returns {object} The entry, with its `key` added.
+ */
+function getClaimTopic(topicKeyOrId) {
+    const byKey = CLAIM_TOPICS[String(topicKeyOrId).toUpperCase()];
+    const key = byKey
+        ? String(topicKeyOrId).toUpperCase()
+        : Object.keys(CLAIM_TOPICS).find(name => String(CLAIM_TOPICS[name].topic) === String(topicKeyOrId));
+    if (!key) {
+        throw Object.assign(
+            new Error(`Unknown claim topic "${topicKeyOrId}". Known topics: ${Object.keys(CLAIM_TOPICS).join(', ')}.`),
+            { statusCode: 400 }
+        );
+    }
+    return { key, ...CLAIM_TOPICS[key] };
+}
+
+/**
+ * Lists the catalogue.
+ * @returns {object[]} Every entry, with its `key` and field schema.
+ */
+function listClaimTopics() {
+    return Object.keys(CLAIM_TOPICS).map(getClaimTopic);
+}
+
+// JSON with keys sorted at every level, so equal attributes always hash the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes the salted hash of a set of verified attributes.
+ * @param {object} attributes The verified attributes (e.g. { firstName, lastName, dateOfBirth }).
+ * @param {string} salt A 32-byte hex salt.
+ * @returns {string} keccak256(abi.encode(bytes32 salt, string canonicalJson)).
+ */
+function hashAttributes(attributes, salt) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(['bytes32', 'string'], [salt, canonicalJson(attributes || {})])
+    );
+}
+
+/**
+ * Builds and ABI-encodes the claim data for a topic.
+ * @param {string|number} topicKeyOrId The topic name or id.
+ * @param {object} input { attributes, level, country, issuedAt (unix seconds), salt }
+ * @returns {{ topic: number, data: string, fields: object, salt: string }} The encoded data, the decoded
+ *          field values and the salt needed to later prove the attributes behind attributesHash.
+ */
+function buildClaimData(topicKeyOrId, input = {}) {
+    const entry = getClaimTopic(topicKeyOrId);
+    const salt = input.salt || ethers.hexlify(randomBytes(32));
+    const issuedAt = input.issuedAt || Math.floor(Date.now() / 1000);
+
+    const fields = {
+        attributesHash: hashAttributes(input.attributes, salt),
+        issuedAt,
+        expiresAt: issuedAt + entry.validityDays * 24 * 60 * 60,
+        level: input.level !== undefined && input.level !== null ? Number(input.level) : entry.defaultLevel
+    };
+    if (entry.fields.some(field => field.name === 'country')) {
+        if (input.country === undefined || input.country === null) {
+            throw Object.assign(new Error(`The ${entry.key} claim requires a country code.`), { statusCode: 422 });
+        }
+        fields.country = Number(input.country);
+    }
+
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(
+        entry.fields.map(field => field.type),
+        entry.fields.map(field => fields[field.name])
+    );
+    return { topic: entry.topic, data, fields, salt };
+}
+
+/**
+ * Decodes claim data issued with the catalogue's schema for its topic.
+ * @param {string|number} topicKeyOrId The topic name or id.
+ * @param {string} data The hex claim data.
+ * @returns {object} The field values by name (numbers for uint fields).
+ */
+function decodeClaimData(topicKeyOrId, data) {
+    const entry = getClaimTopic(topicKeyOrId);
+    const values = ethers.AbiCoder.defaultAbiCoder().decode(entry.fields.map(field => field.type), data);
+    const fields = {};
+    entry.fields.forEach((field, index) => {
+        fields[field.name] = typeof values[index] === 'bigint' ? Number(values[index]) : values[index];
+    });
+    return fields;
+}
+
+module.exports = {
+    CLAIM_TOPICS,
+    getClaimTopic,
+    listClaimTopics,
+    hashAttributes,
+    buildClaimData,
+    decodeClaimData
+};
@@ -0,0 +1,208 @@
+const { ethers } = require('ethers');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const CLAIM_TOPICS_REGISTRY_ABI = require('../out/ClaimTopicsRegistry.sol/ClaimTopicsRegistry.json');
+const TRUSTED_ISSUERS_REGISTRY_ABI = require('../out/TrustedIssuersRegistry.sol/TrustedIssuersRegistry.json');
+const { getProvider } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+const { CLAIM_TOPICS, getClaimTopic } = require('./claimCatalogue');
+const { getToken } = require('./tokenCatalogue');
+
+// Every registry change made through the API, keyed by transaction hash
+const registryChangeStore = createStore('claimRegistryChanges');
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function requireAddress(value, name) {
+    if (!value || !ethers.isAddress(value)) {
+        throw badRequest(`${name} must be a valid address.`);
+    }
+    return ethers.getAddress(value);
+}
+
+// Catalogue names ("KYC") or any numeric topic id, so topics the server does not issue can still be managed
+function toTopic(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : getClaimTopic(value).topic;
+}
+
+function toTopics(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+        throw badRequest('claimTopics must be a non-empty list of claim topics.');
+    }
+    return [...new Set(values.map(toTopic))];
+}
+
+// The catalogue name of a topic id, or null for topics the server does not issue
+function topicName(topic) {
+    return Object.keys(CLAIM_TOPICS).find(key => CLAIM_TOPICS[key].topic === topic) || null;
+}
+
+// Both registries hang off the token's identity registry
+async function getRegistries(entry, runner = getProvider()) {
+    const idRegistry = new ethers.Contract(entry.identityRegistry, IDENTITY_REGISTRY_ABI.abi, getProvider());
+    const [topicsRegistry, issuersRegistry] = await Promise.all([idRegistry.topicsRegistry(), idRegistry.issuersRegistry()]);
+    return {
+        topics: new ethers.Contract(topicsRegistry, CLAIM_TOPICS_REGISTRY_ABI.abi, runner),
+        issuers: new ethers.Contract(issuersRegistry, TRUSTED_ISSUERS_REGISTRY_ABI.abi, runner)
+    };
+}
+
+async function readRegistries(entry) {
+    const registries = await getRegistries(entry);
+    const requiredTopics = (await registries.topics.getClaimTopics()).map(Number);
+    const issuers = await registries.issuers.getTrustedIssuers();
+    const trustedIssuers = await Promise.all(issuers.map(async issuer => ({
+        address: issuer,
+        claimTopics: (await registries.issuers.getTrustedIssuerClaimTopics(issuer)).map(Number)
+    })));
+    return { registries, requiredTopics, trustedIssuers };
+}
+
+/**
+ * Reads the claim topics a token requires and the issuers trusted for them.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @returns {Promise<object>} { claimTopicsRegistry, trustedIssuersRegistry, requiredTopics: [{ topic, name }],
+ *          trustedIssuers: [{ address, claimTopics }] }
+ */
+async function getClaimRegistries(tokenIdOrAddress) {
+    const entry = await getToken(tokenIdOrAddress);
+    const { registries, requiredTopics, trustedIssuers } = await readRegistries(entry);
+    return {
+        tokenId: entry.id,
+        tokenAddress: entry.address,
+        identityRegistry: entry.identityRegistry,
+        claimTopicsRegistry: await registries.topics.getAddress(),
+        trustedIssuersRegistry: await registries.issuers.getAddress(),
+        requiredTopics: requiredTopics.map(topic => ({ topic, name: topicName(topic) })),
+        trustedIssuers
+    };
+}
+
+/**
+ * Checks that the two registries agree. Flags:
+ *   REQUIRED_TOPIC_WITHOUT_ISSUER  a required topic no trusted issuer may attest, so no investor can be verified
+ *   ISSUER_TOPIC_NOT_REQUIRED      an issuer trusted for a topic the token no longer requires
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @returns {Promise<object>} { consistent, issues: [{ type, topic, name, issuer, message }] }
+ */
+async function getRegistryConsistencyReport(tokenIdOrAddress) {
+    const entry = await getToken(tokenIdOrAddress);
+    const { requiredTopics, trustedIssuers } = await readRegistries(entry);
+    const issues = [];
+
+    for (const topic of requiredTopics) {
+        if (!trustedIssuers.some(issuer => issuer.claimTopics.includes(topic))) {
+            issues.push({
+                type: 'REQUIRED_TOPIC_WITHOUT_ISSUER',
+                topic,
+                name: topicName(topic),
+                issuer: null,
+                message: `Topic ${topic} is required but no trusted issuer may attest it, so no investor can be verified.`
+            });
+        }
+    }
+    for (const issuer of trustedIssuers) {
+        for (const topic of issuer.claimTopics.filter(topic => !requiredTopics.includes(topic))) {
+            issues.push({
+                type: 'ISSUER_TOPIC_NOT_REQUIRED',
+                topic,
+                name: topicName(topic),
+                issuer: issuer.address,
+                message: `Issuer ${issuer.address} is trusted for topic ${topic}, which is no longer required.`
+            });
+        }
+    }
+
+    return { tokenId: entry.id, tokenAddress: entry.address, consistent: issues.length === 0, requiredTopics, trustedIssuers, issues };
+}
+
+/**
+ * Registry changes: which registry, the method, the arguments, and the state the change expects
+ * (so adding a trusted issuer twice is a 409 rather than a revert).
+ */
+const REGISTRY_CHANGES = {
+    addClaimTopic: {
+        registry: 'topics',
+        args: params => [toTopic(params.topic)],
+        check: (state, [topic]) => state.requiredTopics.includes(topic) && `Topic ${topic} is already required.`
+    },
+    removeClaimTopic: {
+        registry: 'topics',
+        args: params => [toTopic(params.topic)],
+        check: (state, [topic]) => !state.requiredTopics.includes(topic) && `Topic ${topic} is not required.`
+    },
+    addTrustedIssuer: {
+        registry: 'issuers',
+        args: params => [requireAddress(params.issuer, 'issuer'), toTopics(params.claimTopics)],
+        check: (state, [issuer]) => state.trustedIssuers.some(trusted => trusted.address === issuer) && `${issuer} is already a trusted issuer.`
+    },
+    removeTrustedIssuer: {
+        registry: 'issuers',
+        args: params => [requireAddress(params.issuer, 'issuer')],
+        check: (state, [issuer]) => !state.trustedIssuers.some(trusted => trusted.address === issuer) && `${issuer} is not a trusted issuer.`
+    },
+    updateIssuerClaimTopics: {
+        registry: 'issuers',
+        args: params => [requireAddress(params.issuer, 'issuer'), toTopics(params.claimTopics)],
+        check: (state, [issuer]) => !state.trustedIssuers.some(trusted => trusted.address === issuer) && `${issuer} is not a trusted issuer.`
+    }
+};
+
+/**
+ * Changes a token's claim topics or trusted issuers registry with the deployer signer, which has to own
+ * the registry, and records the change.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @param {string} change One of the REGISTRY_CHANGES keys (also the registry method).
+ * @param {object} params { topic } or { issuer, claimTopics }, plus { note }.
+ * @param {string} requestedBy Who asked for the change (e.g. the API key name).
+ * @returns {Promise<object>} The change record with the consistency report read back after mining.
+ */
+async function changeClaimRegistry(tokenIdOrAddress, change, params, requestedBy) {
+    const definition = REGISTRY_CHANGES[change];
+    const entry = await getToken(tokenIdOrAddress);
+    const args = definition.args(params);
+
+    const owner = await getSigner('deployer');
+    const state = await readRegistries(entry);
+    const registry = (await getRegistries(entry, owner))[definition.registry];
+    const registryAddress = await registry.getAddress();
+    const registryOwner = await registry.owner();
+    if (registryOwner !== await owner.getAddress()) {
+        throw Object.assign(
+            new Error(`The deployer signer does not own registry ${registryAddress} (owner is ${registryOwner}).`),
+            { statusCode: 422 }
+        );
+    }
+    const conflict = definition.check(state, args);
+    if (conflict) {
+        throw Object.assign(new Error(conflict), { statusCode: 409 });
+    }
+
+    console.log(`[registries] ${change} on ${registryAddress} requested by ${requestedBy}...`);
+    const tx = await submitTransaction('deployer', change, registry[change].populateTransaction(...args));
+    const receipt = await waitForTransaction(tx);
+    console.log(`✅ [registries] ${change} mined: ${receipt.hash}`);
+
+    const record = registryChangeStore.set(receipt.hash, {
+        change,
+        tokenId: entry.id,
+        tokenAddress: entry.address,
+        registry: registryAddress,
+        args,
+        note: params.note || null,
+        requestedBy,
+        transactionHash: receipt.hash,
+        createdAt: new Date().toISOString()
+    });
+    return { ...record, report: await getRegistryConsistencyReport(entry.address) };
+}
+
+module.exports = {
+    REGISTRY_CHANGES,
+    getClaimRegistries,
+    getRegistryConsistencyReport,
+    changeClaimRegistry
+};
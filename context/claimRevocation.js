@@ -0,0 +1,154 @@
+const { ethers } = require('ethers');
+const CLAIM_ISSUER_ABI = require('../out/IClaimIssuer.sol/IClaimIssuer.json');
+const IDENTITY_ABI = require('../out/Identity.sol/Identity.json');
+const { getProvider, getContractAddress } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { getClaimTopic } = require('./claimCatalogue');
+const { getIssuedClaim, findIssuedClaimBySignature } = require('./kyc');
+const { createStore } = require('./store');
+
+// Revocations made through this server, keyed by keccak256 of the claim signature
+const revocationStore = createStore('claimRevocations');
+
+function getClaimIssuerContract(runner) {
+    return new ethers.Contract(getContractAddress('claimIssuer'), CLAIM_ISSUER_ABI.abi, runner);
+}
+
+/**
+ * Computes the ONCHAINID claim id of a claim from our issuer: keccak256(abi.encode(issuer, topic)).
+ * @param {number} topic The claim topic id.
+ * @returns {string} The claim id.
+ */
+function getClaimId(topic) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [getContractAddress('claimIssuer'), topic])
+    );
+}
+
+/**
+ * Resolves the signature of our issuer's claim on an identity.
+ * Reads the claim from the identity contract and falls back to the issued claim log
+ * for claims that were signed but never added on-chain.
+ * @param {string} identityAddress The identity contract address.
+ * @param {number} topic The claim topic id.
+ * @returns {Promise<{ claimId: string, signature: string|null, onChain: boolean }>}
+ */
+async function resolveClaim(identityAddress, topic) {
+    const claimId = getClaimId(topic);
+    const identityContract = new ethers.Contract(identityAddress, IDENTITY_ABI.abi, getProvider());
+    const claim = await identityContract.getClaim(claimId);
+    if (claim.issuer !== ethers.ZeroAddress) {
+        return { claimId, signature: claim.signature, onChain: true };
+    }
+    const issued = getIssuedClaim(identityAddress, topic);
+    return { claimId, signature: issued ? issued.signature : null, onChain: false };
+}
+
+/**
+ * Revokes a claim on the ClaimIssuer contract and records who revoked it and why.
+ * Takes either { identityAddress, topic } or the raw { signature }.
+ * @param {object} request { identityAddress, topic (catalogue name or id), signature, reason }
+ * @param {string} revokedBy Who asked for the revocation (e.g. the API key name).
+ * @returns {Promise<object>} The revocation record.
+ */
+async function revokeClaim(request, revokedBy) {
+    const { reason } = request;
+    if (!reason) {
+        throw Object.assign(new Error('reason is required.'), { statusCode: 400 });
+    }
+
+    let identityAddress = request.identityAddress || null;
+    let topic = request.topic !== undefined ? getClaimTopic(request.topic).topic : null;
+    let signature = request.signature || null;
+    let claimId = null;
+
+    if (signature) {
+        if (!ethers.isHexString(signature)) {
+            throw Object.assign(new Error('signature must be a hex string.'), { statusCode: 400 });
+        }
+        // Fill in identity and topic for the log when the claim was issued here
+        const issued = findIssuedClaimBySignature(signature);
+        if (issued) {
+            identityAddress = identityAddress || issued.identityAddress;
+            topic = topic !== null ? topic : issued.topic;
+        }
+    } else {
+        if (!identityAddress || !ethers.isAddress(identityAddress) || topic === null) {
+            throw Object.assign(
+                new Error('Either signature, or identityAddress and topic, are required.'),
+                { statusCode: 400 }
+            );
+        }
+        const resolved = await resolveClaim(identityAddress, topic);
+        if (!resolved.signature) {
+            throw Object.assign(
+                new Error(`No claim for topic ${topic} from our issuer found on ${identityAddress}.`),
+                { statusCode: 404 }
+            );
+        }
+        signature = resolved.signature;
+        // revokeClaim reads the signature from the identity, so it only works for claims added on-chain
+        claimId = resolved.onChain ? resolved.claimId : null;
+    }
+
+    // Revoking needs a MANAGEMENT key on the ClaimIssuer contract, held by the deployer that set it up
+    const claimIssuer = getClaimIssuerContract(await getSigner('deployer'));
+    if (await claimIssuer.isClaimRevoked(signature)) {
+        throw Object.assign(new Error('This claim is already revoked.'), { statusCode: 409 });
+    }
+
+    console.log(`  - Revoking claim ${claimId || signature} (reason: ${reason})...`);
+    const tx = claimId
+        ? await submitTransaction('deployer', 'revokeClaim', claimIssuer.revokeClaim.populateTransaction(claimId, identityAddress))
+        : await submitTransaction('deployer', 'revokeClaimBySignature', claimIssuer.revokeClaimBySignature.populateTransaction(signature));
+    const receipt = await waitForTransaction(tx);
+    console.log(`✅ Claim revoked. Transaction hash: ${receipt.hash}`);
+
+    const record = {
+        identityAddress: identityAddress ? ethers.getAddress(identityAddress) : null,
+        topic,
+        claimId: claimId || (topic !== null ? getClaimId(topic) : null),
+        signature,
+        reason,
+        revokedBy,
+        transactionHash: receipt.hash,
+        revokedAt: new Date().toISOString()
+    };
+    return revocationStore.set(ethers.keccak256(signature), record);
+}
+
+/**
+ * Returns the revocation status of our issuer's claim on an identity.
+ * @param {string} identityAddress The identity contract address.
+ * @param {string|number} topicKeyOrId The catalogue topic name or id.
+ * @returns {Promise<object>} { identityAddress, topic, claimId, onChain, revoked, revocation }
+ */
+async function getClaimStatus(identityAddress, topicKeyOrId) {
+    if (!ethers.isAddress(identityAddress)) {
+        throw Object.assign(new Error('identity is not a valid address.'), { statusCode: 400 });
+    }
+    const { topic } = getClaimTopic(topicKeyOrId);
+    const { claimId, signature, onChain } = await resolveClaim(identityAddress, topic);
+    if (!signature) {
+        throw Object.assign(
+            new Error(`No claim for topic ${topic} from our issuer found on ${identityAddress}.`),
+            { statusCode: 404 }
+        );
+    }
+
+    const revoked = await getClaimIssuerContract(getProvider()).isClaimRevoked(signature);
+    return {
+        identityAddress: ethers.getAddress(identityAddress),
+        topic,
+        claimId,
+        onChain,
+        revoked,
+        revocation: revocationStore.get(ethers.keccak256(signature)) || null
+    };
+}
+
+module.exports = {
+    revokeClaim,
+    getClaimStatus
+};
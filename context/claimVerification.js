@@ -0,0 +1,159 @@
+const { ethers } = require('ethers');
+const IDENTITY_ABI = require('../out/Identity.sol/Identity.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const TRUSTED_ISSUERS_REGISTRY_ABI = require('../out/ITrustedIssuersRegistry.sol/ITrustedIssuersRegistry.json');
+const { getProvider, getContractAddress } = require('./config');
+const { getClaimTopic } = require('./claimCatalogue');
+
+const KEY_PURPOSE_CLAIM = 3;
+
+/**
+ * The ways claims have been signed in this repo. A scheme is a data hash plus what was signed:
+ *   abi-eip191     keccak256(abi.encode(identity, topic, data)), signed with the EIP-191 prefix
+ *                  (handleKyc.js; the only scheme ONCHAINID's isClaimValid accepts)
+ *   packed-raw     keccak256(abi.encodePacked(identity, topic, data)), signed as a raw digest (sigVerify.js)
+ *   abi-raw        the abi.encode hash signed as a raw digest
+ *   packed-eip191  the abi.encodePacked hash signed with the EIP-191 prefix
+ */
+const SIGNING_SCHEMES = [
+    { name: 'abi-eip191', encoding: 'abi', prefixed: true },
+    { name: 'packed-raw', encoding: 'packed', prefixed: false },
+    { name: 'abi-raw', encoding: 'abi', prefixed: false },
+    { name: 'packed-eip191', encoding: 'packed', prefixed: true }
+];
+
+function hashClaimData(encoding, identityAddress, topic, data) {
+    const types = ['address', 'uint256', 'bytes'];
+    const values = [identityAddress, topic, data];
+    return encoding === 'abi'
+        ? ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(types, values))
+        : ethers.solidityPackedKeccak256(types, values);
+}
+
+function addressKey(address) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address'], [address]));
+}
+
+// Runs a contract read, turning a revert or a missing function into { error }
+async function tryRead(read) {
+    try {
+        return { value: await read() };
+    } catch (error) {
+        return { error: error.shortMessage || error.message };
+    }
+}
+
+/**
+ * Verifies a claim against every known signing scheme, offline and on-chain.
+ * For each scheme the signer is recovered offline, cross-checked with Identity.getRecoveredAddress and
+ * matched against the CLAIM keys of the issuer. The issuer's isClaimValid and the trusted issuers
+ * registry behind the identity registry give the on-chain verdict.
+ * When signature and data are left out, the claim is read from the identity contract.
+ * @param {object} claim { identityAddress (or identity), topic (id or catalogue name), issuer, signature, data }
+ * @returns {Promise<object>} The per-scheme results, the matched scheme and the on-chain checks.
+ */
+async function verifyClaim(claim) {
+    const identityAddress = claim.identityAddress || claim.identity;
+    const { issuer } = claim;
+    if (!identityAddress || !ethers.isAddress(identityAddress) || !issuer || !ethers.isAddress(issuer)) {
+        throw Object.assign(new Error('identityAddress and issuer must be valid addresses.'), { statusCode: 400 });
+    }
+    if (claim.topic === undefined || claim.topic === null) {
+        throw Object.assign(new Error('topic is required.'), { statusCode: 400 });
+    }
+    // Raw topic ids are accepted as is, so claims outside the catalogue can be checked too
+    const topic = /^\d+$/.test(String(claim.topic)) ? Number(claim.topic) : getClaimTopic(claim.topic).topic;
+
+    const provider = getProvider();
+    const identityContract = new ethers.Contract(identityAddress, IDENTITY_ABI.abi, provider);
+    let { signature, data } = claim;
+    if (!signature) {
+        const stored = await identityContract.getClaim(
+            ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [issuer, topic]))
+        );
+        if (stored.issuer === ethers.ZeroAddress) {
+            throw Object.assign(
+                new Error(`No signature given and no topic ${topic} claim from ${issuer} on ${identityAddress}.`),
+                { statusCode: 404 }
+            );
+        }
+        signature = stored.signature;
+        data = stored.data;
+    }
+    if (!ethers.isHexString(signature) || !ethers.isHexString(data || '0x')) {
+        throw Object.assign(new Error('signature and data must be hex strings.'), { statusCode: 400 });
+    }
+    data = data || '0x';
+
+    // ONCHAINID issuers are identity contracts whose CLAIM keys sign; a plain account can only sign for itself
+    const issuerIsContract = (await provider.getCode(issuer)) !== '0x';
+    const issuerContract = new ethers.Contract(issuer, IDENTITY_ABI.abi, provider);
+
+    const schemes = [];
+    for (const scheme of SIGNING_SCHEMES) {
+        const dataHash = hashClaimData(scheme.encoding, identityAddress, topic, data);
+        const digest = scheme.prefixed ? ethers.hashMessage(ethers.getBytes(dataHash)) : dataHash;
+
+        let recoveredSigner = null;
+        try {
+            recoveredSigner = ethers.recoverAddress(digest, signature);
+        } catch (error) {
+            // Malformed signature; reported as no signer
+        }
+        const onChainRecovered = await tryRead(() => identityContract.getRecoveredAddress(signature, digest));
+
+        let signerIsIssuerKey = false;
+        if (recoveredSigner) {
+            signerIsIssuerKey = issuerIsContract
+                ? Boolean((await tryRead(() => issuerContract.keyHasPurpose(addressKey(recoveredSigner), KEY_PURPOSE_CLAIM))).value)
+                : recoveredSigner === ethers.getAddress(issuer);
+        }
+
+        schemes.push({
+            scheme: scheme.name,
+            dataHash,
+            digest,
+            recoveredSigner,
+            onChainRecoveredSigner: onChainRecovered.value || null,
+            recoveryMatchesOnChain: onChainRecovered.value !== undefined ? onChainRecovered.value === recoveredSigner : null,
+            signerIsIssuerKey
+        });
+    }
+    const matched = schemes.find(result => result.signerIsIssuerKey);
+
+    const isClaimValid = issuerIsContract
+        ? await tryRead(() => issuerContract.isClaimValid(identityAddress, topic, signature, data))
+        : { error: 'The issuer is not a contract.' };
+
+    const idRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, provider);
+    const trustedIssuersRegistry = new ethers.Contract(
+        await idRegistry.issuersRegistry(), TRUSTED_ISSUERS_REGISTRY_ABI.abi, provider
+    );
+    const isTrustedIssuer = await trustedIssuersRegistry.isTrustedIssuer(issuer);
+    const trustedForTopic = isTrustedIssuer && await trustedIssuersRegistry.hasClaimTopic(issuer, topic);
+
+    return {
+        identityAddress: ethers.getAddress(identityAddress),
+        topic,
+        issuer: ethers.getAddress(issuer),
+        signature,
+        data,
+        matchedScheme: matched ? matched.scheme : null,
+        schemes,
+        onChain: {
+            isClaimValid: isClaimValid.value !== undefined ? isClaimValid.value : null,
+            ...(isClaimValid.error ? { isClaimValidError: isClaimValid.error } : {})
+        },
+        trust: {
+            trustedIssuersRegistry: await trustedIssuersRegistry.getAddress(),
+            isTrustedIssuer,
+            trustedForTopic
+        },
+        valid: isClaimValid.value === true && trustedForTopic
+    };
+}
+
+module.exports = {
+    SIGNING_SCHEMES,
+    verifyClaim
+};
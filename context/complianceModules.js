@@ -0,0 +1,206 @@
+const { ethers } = require('ethers');
+const COMPLIANCE_ABI = require('../out/ModularCompliance.sol/ModularCompliance.json');
+const MODULE_ABI = require('../out/IModule.sol/IModule.json');
+const { getProvider } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+const { getToken, parseTokenAmount, formatTokenAmount } = require('./tokenCatalogue');
+
+// Every module change made through the API, keyed by transaction hash
+const complianceChangeStore = createStore('complianceChanges');
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function requireAddress(value, name) {
+    if (!value || !ethers.isAddress(value)) {
+        throw badRequest(`${name} must be a valid address.`);
+    }
+    return ethers.getAddress(value);
+}
+
+function getCompliance(entry, runner = getProvider()) {
+    return new ethers.Contract(entry.compliance, COMPLIANCE_ABI.abi, runner);
+}
+
+// Module name() is part of IModule, but anything can be bound, so a failing call is reported as null
+async function describeModule(address) {
+    const module = new ethers.Contract(address, MODULE_ABI.abi, getProvider());
+    let name = null;
+    try {
+        name = await module.name();
+    } catch (error) {
+        // Not an IModule, or a pre-v4 module without name()
+    }
+    return { address, name };
+}
+
+/**
+ * Lists the modules bound to a token's modular compliance.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @returns {Promise<object>} { tokenId, tokenAddress, compliance, tokenBound, modules: [{ address, name }] }
+ */
+async function listComplianceModules(tokenIdOrAddress) {
+    const entry = await getToken(tokenIdOrAddress);
+    const compliance = getCompliance(entry);
+    const [modules, tokenBound] = await Promise.all([compliance.getModules(), compliance.getTokenBound()]);
+    return {
+        tokenId: entry.id,
+        tokenAddress: entry.address,
+        compliance: entry.compliance,
+        tokenBound,
+        modules: await Promise.all(modules.map(describeModule))
+    };
+}
+
+/**
+ * Reports whether a module is bound to a token's compliance.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @param {string} moduleAddress The module address.
+ * @returns {Promise<object>} { address, name, bound }
+ */
+async function getComplianceModule(tokenIdOrAddress, moduleAddress) {
+    const entry = await getToken(tokenIdOrAddress);
+    const address = requireAddress(moduleAddress, 'module');
+    return { ...await describeModule(address), bound: await getCompliance(entry).isModuleBound(address) };
+}
+
+/**
+ * Compliance changes: the ModularCompliance method, whether the module must already be bound,
+ * and argument building. Module configuration calls accept raw callData or a function signature and args.
+ */
+const COMPLIANCE_CHANGES = {
+    addModule: {
+        method: 'addModule',
+        mustBeBound: false,
+        args: module => [module]
+    },
+    removeModule: {
+        method: 'removeModule',
+        mustBeBound: true,
+        args: module => [module]
+    },
+    callModuleFunction: {
+        method: 'callModuleFunction',
+        mustBeBound: true,
+        args: (module, params) => [encodeModuleCall(params), module]
+    }
+};
+
+function encodeModuleCall({ callData, function: signature, args = [] }) {
+    if (callData !== undefined) {
+        if (!ethers.isHexString(callData) || ethers.dataLength(callData) < 4) {
+            throw badRequest('callData must be hex-encoded calldata starting with a function selector.');
+        }
+        return callData;
+    }
+    if (!signature || typeof signature !== 'string') {
+        throw badRequest('Either callData or function (e.g. "batchAllowCountries(uint16[])") with args is required.');
+    }
+    try {
+        const fragment = ethers.FunctionFragment.from(signature.startsWith('function ') ? signature : `function ${signature}`);
+        return new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+    } catch (error) {
+        throw badRequest(`Could not encode ${signature}: ${error.shortMessage || error.message}`);
+    }
+}
+
+/**
+ * Changes a token's compliance with the deployer signer, which has to own the ModularCompliance,
+ * and records the change.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @param {string} change One of the COMPLIANCE_CHANGES keys.
+ * @param {string} moduleAddress The module address.
+ * @param {object} params { note } plus { callData } or { function, args } for callModuleFunction.
+ * @param {string} requestedBy Who asked for the change (e.g. the API key name).
+ * @returns {Promise<object>} The change record with the module list read back after mining.
+ */
+async function changeCompliance(tokenIdOrAddress, change, moduleAddress, params, requestedBy) {
+    const definition = COMPLIANCE_CHANGES[change];
+    const entry = await getToken(tokenIdOrAddress);
+    const module = requireAddress(moduleAddress, 'module');
+    const args = definition.args(module, params);
+
+    const owner = await getSigner('deployer');
+    const compliance = getCompliance(entry, owner);
+    const [complianceOwner, bound] = await Promise.all([compliance.owner(), compliance.isModuleBound(module)]);
+    if (complianceOwner !== await owner.getAddress()) {
+        throw Object.assign(
+            new Error(`The deployer signer does not own compliance ${entry.compliance} (owner is ${complianceOwner}).`),
+            { statusCode: 422 }
+        );
+    }
+    if (bound !== definition.mustBeBound) {
+        throw Object.assign(
+            new Error(`Module ${module} is ${bound ? 'already' : 'not'} bound to compliance ${entry.compliance}.`),
+            { statusCode: 409 }
+        );
+    }
+
+    console.log(`[compliance] ${change} ${module} on ${entry.compliance} requested by ${requestedBy}...`);
+    const tx = await submitTransaction('deployer', change, compliance[definition.method].populateTransaction(...args));
+    const receipt = await waitForTransaction(tx);
+    console.log(`✅ [compliance] ${change} ${module} mined: ${receipt.hash}`);
+
+    const record = complianceChangeStore.set(receipt.hash, {
+        change,
+        tokenId: entry.id,
+        tokenAddress: entry.address,
+        compliance: entry.compliance,
+        module,
+        callData: change === 'callModuleFunction' ? args[0] : null,
+        note: params.note || null,
+        requestedBy,
+        transactionHash: receipt.hash,
+        createdAt: new Date().toISOString()
+    });
+    return { ...record, modules: (await listComplianceModules(entry.address)).modules };
+}
+
+/**
+ * Runs the token's compliance check for a transfer without sending anything, and asks every bound module
+ * on its own so the report names the modules that block it. Only compliance is checked here, not the
+ * identity registry, freezes or pause (see POST /invest/preflight for mints).
+ * @param {object} request { token, from, to, amount }; from defaults to the zero address, i.e. a mint.
+ * @returns {Promise<object>} { canTransfer, blockedBy: [{ address, name }], modules: [{ address, name, passes, error }] }
+ */
+async function simulateTransfer(request) {
+    const entry = await getToken(request.token || request.tokenAddress);
+    const from = request.from ? requireAddress(request.from, 'from') : ethers.ZeroAddress;
+    const to = requireAddress(request.to, 'to');
+    const amount = parseTokenAmount(entry, request.amount);
+    const compliance = getCompliance(entry);
+
+    const modules = await Promise.all((await compliance.getModules()).map(async address => {
+        const result = { ...await describeModule(address), passes: false, error: null };
+        try {
+            const module = new ethers.Contract(address, MODULE_ABI.abi, getProvider());
+            result.passes = await module.moduleCheck(from, to, amount, entry.compliance);
+        } catch (error) {
+            result.error = error.shortMessage || error.message;
+        }
+        return result;
+    }));
+
+    return {
+        tokenId: entry.id,
+        tokenAddress: entry.address,
+        compliance: entry.compliance,
+        from,
+        to,
+        amount: formatTokenAmount(entry, amount),
+        canTransfer: await compliance.canTransfer(from, to, amount),
+        blockedBy: modules.filter(module => !module.passes).map(({ address, name }) => ({ address, name })),
+        modules
+    };
+}
+
+module.exports = {
+    COMPLIANCE_CHANGES,
+    listComplianceModules,
+    getComplianceModule,
+    changeCompliance,
+    simulateTransfer
+};
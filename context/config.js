@@ -0,0 +1,93 @@
+require('dotenv').config();
+const { ethers } = require('ethers');
+
+// Network profiles (chain id, RPC URLs and contract addresses per network)
+const NETWORKS_CONFIG = require('../config/networks.json');
+
+let cachedProvider = null;
+
+/**
+ * Returns the name of the active network profile.
+ * Selected with the NETWORK env variable, falling back to the file's default.
+ * @returns {string} The active network name (e.g. "amoy").
+ */
+function getNetworkName() {
+    return process.env.NETWORK || NETWORKS_CONFIG.defaultNetwork;
+}
+
+/**
+ * Returns the active network profile.
+ * @returns {object} The profile with name, chainId, rpcUrls and contracts.
+ */
+function getNetwork() {
+    const networkName = getNetworkName();
+    const network = NETWORKS_CONFIG.networks[networkName];
+    if (!network) {
+        const known = Object.keys(NETWORKS_CONFIG.networks).join(', ');
+        throw new Error(`Unknown network "${networkName}". Known networks: ${known}.`);
+    }
+    return network;
+}
+
+/**
+ * Returns the RPC URL for the active network.
+ * RPC_URL in the environment takes precedence over the profile's public URLs.
+ * @returns {string} The RPC URL.
+ */
+function getRpcUrl() {
+    const rpcUrl = process.env.RPC_URL || getNetwork().rpcUrls[0];
+    if (!rpcUrl) {
+        throw new Error(`No RPC URL configured for network "${getNetworkName()}".`);
+    }
+    return rpcUrl;
+}
+
+/**
+ * Returns a shared JSON-RPC provider for the active network.
+ * @returns {ethers.JsonRpcProvider} The provider.
+ */
+function getProvider() {
+    if (!cachedProvider) {
+        const network = getNetwork();
+        cachedProvider = new ethers.JsonRpcProvider(getRpcUrl(), network.chainId, { staticNetwork: true });
+    }
+    return cachedProvider;
+}
+
+/**
+ * Resolves a contract address from the active network profile.
+ * @param {string} name The contract key (e.g. "identityRegistry", "token").
+ * @returns {string} The checksummed contract address.
+ */
+function getContractAddress(name) {
+    const address = getNetwork().contracts[name];
+    if (!address) {
+        throw new Error(`Contract address "${name}" is not configured for network "${getNetworkName()}".`);
+    }
+    return ethers.getAddress(address);
+}
+
+/**
+ * Returns a public view of the active profile, safe to expose to clients.
+ * The RPC_URL env override is left out as it usually carries an API key.
+ * @returns {object} The active network name, chain id, public RPC URLs and contract addresses.
+ */
+function getPublicConfig() {
+    const network = getNetwork();
+    return {
+        network: getNetworkName(),
+        name: network.name,
+        chainId: network.chainId,
+        rpcUrls: network.rpcUrls,
+        contracts: network.contracts
+    };
+}
+
+module.exports = {
+    getNetworkName,
+    getNetwork,
+    getRpcUrl,
+    getProvider,
+    getContractAddress,
+    getPublicConfig
+};
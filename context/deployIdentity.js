@@ -3,8 +3,9 @@ const { ethers } = require('ethers');
 const IdentityProxyABI = require('../abi/@onchain-id/solidity/contracts/proxy/IdentityProxy.sol/IdentityProxy.json');
 const IdentityRegistry = require('../abi/registry/IdentityRegistry.sol/IdentityRegistry.json');
 
-const IMPLEMENTATION_AUTHORITY = '0x22b1394F0b70513423747964B0A3352B1703Fffc';
-const IDENTITY_REGISTRY = '0x7Eb85534067f0E123c85e60aBD8AF00EF642c361';
+// Contract addresses are resolved from the active network profile (see config/networks.json)
+const { getContractAddress } = require('./config');
+const { getGasOverrides } = require('./gas');
 
 // Helper function to ensure environment variables are loaded
 function checkEnvVariables() {
@@ -22,22 +23,8 @@ async function deployIdentityProxy(userAddress) {
         const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
         const adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
 
-        // --- AGGRESSIVE GAS FIX START ---
-        // Fetch the legacy gas price, which is often more reliable on testnets.
-        const gasPrice = await provider.getGasPrice();
-        console.log(`[GAS] Fetched legacy gas price: ${ethers.utils.formatUnits(gasPrice, "gwei")} gwei`);
-
-        // Add a 50% buffer to the gas price to ensure it's high enough.
-        const bufferedGasPrice = gasPrice.mul(150).div(100);
-        console.log(`[GAS] Buffered gas price: ${ethers.utils.formatUnits(bufferedGasPrice, "gwei")} gwei`);
-
-        // Create an overrides object. Forcing both maxFee and maxPriorityFee to the same
-        // high value makes the transaction very likely to be included.
-        const overrides = {
-            maxFeePerGas: bufferedGasPrice,
-            maxPriorityFeePerGas: bufferedGasPrice,
-        };
-        // --- AGGRESSIVE GAS FIX END ---
+        // Fees come from the active network's gas strategy
+        const overrides = await getGasOverrides();
         
         const factory = new ethers.ContractFactory(
             IdentityProxyABI.abi,
@@ -46,7 +33,7 @@ async function deployIdentityProxy(userAddress) {
         );
 
         // Pass the overrides object to the deploy function
-        const identity = await factory.deploy(IMPLEMENTATION_AUTHORITY, userAddress, overrides);
+        const identity = await factory.deploy(getContractAddress('implementationAuthority'), userAddress, overrides);
         await identity.deployed();
         console.log(`Identity Proxy deployed at: ${identity.address}`);
         return identity; // Return the full contract object
@@ -79,19 +66,10 @@ async function registerIdentity(identityAddress, userAddress, countryCode) {
     try {
         const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
         const adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
-        const identityRegistry = new ethers.Contract(IDENTITY_REGISTRY, IdentityRegistry.abi, adminWallet);
+        const identityRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IdentityRegistry.abi, adminWallet);
 
-        // --- AGGRESSIVE GAS FIX START ---
-        const gasPrice = await provider.getGasPrice();
-        console.log(`[GAS] Fetched legacy gas price for registration: ${ethers.utils.formatUnits(gasPrice, "gwei")} gwei`);
-        const bufferedGasPrice = gasPrice.mul(150).div(100);
-         console.log(`[GAS] Buffered gas price for registration: ${ethers.utils.formatUnits(bufferedGasPrice, "gwei")} gwei`);
-
-        const overrides = {
-            maxFeePerGas: bufferedGasPrice,
-            maxPriorityFeePerGas: bufferedGasPrice,
-        };
-        // --- AGGRESSIVE GAS FIX END ---
+        // Fees come from the active network's gas strategy
+        const overrides = await getGasOverrides();
 
         // Pass the overrides object to the contract call
         const txResponse = await identityRegistry.registerIdentity(
@@ -117,7 +95,7 @@ async function identityStatus(userAddress) {
     checkEnvVariables();
     try {
         const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
-        const identityRegistry = new ethers.Contract(IDENTITY_REGISTRY, IdentityRegistry.abi, provider);
+        const identityRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IdentityRegistry.abi, provider);
         const isVerified = await identityRegistry.isVerified(userAddress);
         
         console.log(`Identity status for ${userAddress}: ${isVerified}`);
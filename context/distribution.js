@@ -0,0 +1,216 @@
+const { ethers } = require('ethers');
+const { randomBytes } = require('crypto');
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const { getProvider } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+const { getToken, parseTokenAmount, formatTokenAmount } = require('./tokenCatalogue');
+
+/**
+ * Distribution modes and the call each one sends per chunk. The deployed T-REX token has no batchMint,
+ * so mints go out as one mint call per row, queued back to back like the batches:
+ *   mint            mint(to, amount)                              new tokens
+ *   transfer        batchTransfer(to[], amounts[])                from the token agent's own balance
+ *   forcedTransfer  batchForcedTransfer(from[], to[], amounts[])  from a treasury wallet given as `from`
+ */
+const DISTRIBUTION_MODES = ['mint', 'transfer', 'forcedTransfer'];
+
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 100;
+
+// One report per distribution, keyed by distribution id
+const distributionStore = createStore('distributions');
+
+/**
+ * Parses a CSV of wallet,amount lines. A header line and blank lines are skipped.
+ * @param {string} csv The CSV text.
+ * @returns {object[]} [{ wallet, amount }] as strings, in file order.
+ */
+function parseDistributionCsv(csv) {
+    const rows = [];
+    for (const line of csv.split(/\r?\n/)) {
+        const cells = line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        if (cells.every(cell => cell === '') || (rows.length === 0 && /^wallet/i.test(cells[0]))) {
+            continue;
+        }
+        rows.push({ wallet: cells[0], amount: cells[1] });
+    }
+    return rows;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Checks every row before anything is sent: address and amount format, duplicates, and that the
+ * wallet is registered and verified in the token's identity registry (and, for plain transfers, not frozen).
+ * @returns {Promise<object[]>} One report row per input row, with status "valid" or "rejected" and a reason;
+ *          valid rows carry their amount in base units as `units` (not part of the report).
+ */
+async function validateRows(rows, mode, tokenEntry, token) {
+    const idRegistry = new ethers.Contract(tokenEntry.identityRegistry, IDENTITY_REGISTRY_ABI.abi, getProvider());
+    const seen = new Set();
+    const report = [];
+
+    for (const [index, row] of rows.entries()) {
+        const entry = { row: index + 1, wallet: row.wallet, amount: row.amount, status: 'valid', transactionHash: null, reason: null };
+        report.push(entry);
+        const reject = reason => Object.assign(entry, { status: 'rejected', reason });
+
+        if (!row.wallet || !ethers.isAddress(row.wallet)) {
+            reject('wallet is not a valid address.');
+            continue;
+        }
+        entry.wallet = ethers.getAddress(row.wallet);
+        let units;
+        try {
+            units = parseTokenAmount(tokenEntry, row.amount);
+        } catch (error) {
+            reject(error.message);
+            continue;
+        }
+        entry.amount = formatTokenAmount(tokenEntry, units);
+        Object.defineProperty(entry, 'units', { value: units });
+        if (seen.has(entry.wallet)) {
+            reject('duplicate wallet; an earlier row already pays it.');
+            continue;
+        }
+        seen.add(entry.wallet);
+
+        if (!await idRegistry.contains(entry.wallet)) {
+            reject('wallet is not in the identity registry.');
+        } else if (!await idRegistry.isVerified(entry.wallet)) {
+            reject('wallet is registered but not verified (missing or invalid claims).');
+        } else if (mode === 'transfer' && await token.isFrozen(entry.wallet)) {
+            reject('wallet is frozen on the token.');
+        }
+    }
+    return report;
+}
+
+/**
+ * Distributes tokens to a list of wallets in batch calls with the token agent signer.
+ * Every row is validated first; the valid rows are chunked and all chunks are queued back to back,
+ * then waited on together. A chunk that fails marks all of its rows as failed. Mints are sent one
+ * row per transaction, so batchSize only applies to transfers.
+ * @param {object} request { rows: [{ wallet, amount }], mode, token, from, batchSize }
+ *        token is a catalogue id or address (defaults to the profile's token); amounts are decimal strings
+ *        converted with the token's decimals. `from` is required for mode "forcedTransfer".
+ * @param {string} requestedBy Who asked for the distribution (e.g. the API key name).
+ * @returns {Promise<object>} The report: totals, one entry per batch and one per row
+ *          ({ row, wallet, amount, status: "sent" | "rejected" | "failed", transactionHash, reason }).
+ */
+async function distributeTokens(request, requestedBy) {
+    const { rows, mode = 'mint', from } = request;
+    const batchSize = Number(request.batchSize || DEFAULT_BATCH_SIZE);
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw Object.assign(new Error('rows must be a non-empty list of { wallet, amount }.'), { statusCode: 400 });
+    }
+    if (!DISTRIBUTION_MODES.includes(mode)) {
+        throw Object.assign(new Error(`mode must be one of: ${DISTRIBUTION_MODES.join(', ')}.`), { statusCode: 400 });
+    }
+    if (mode === 'forcedTransfer' && (!from || !ethers.isAddress(from))) {
+        throw Object.assign(new Error('from must be the treasury address for mode forcedTransfer.'), { statusCode: 400 });
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        throw Object.assign(new Error(`batchSize must be between 1 and ${MAX_BATCH_SIZE}.`), { statusCode: 400 });
+    }
+
+    const tokenEntry = await getToken(request.token || request.tokenAddress);
+    const agent = await getSigner('tokenAgent');
+    const token = new ethers.Contract(tokenEntry.address, TOKEN_ABI.abi, agent);
+    const report = await validateRows(rows, mode, tokenEntry, token);
+    const valid = report.filter(entry => entry.status === 'valid');
+
+    // Transfers move existing tokens, so the source has to hold the whole valid total up front
+    if (mode !== 'mint' && valid.length > 0) {
+        const source = mode === 'transfer' ? await agent.getAddress() : ethers.getAddress(from);
+        const total = valid.reduce((sum, entry) => sum + entry.units, 0n);
+        const available = (await token.balanceOf(source)) - (await token.getFrozenTokens(source));
+        if (available < total) {
+            throw Object.assign(
+                new Error(`${source} has ${formatTokenAmount(tokenEntry, available)} unfrozen ${tokenEntry.symbol} but the valid rows total ${formatTokenAmount(tokenEntry, total)}.`),
+                { statusCode: 422, rows: report }
+            );
+        }
+    }
+
+    const distribution = {
+        distributionId: randomBytes(8).toString('hex'),
+        tokenId: tokenEntry.id,
+        tokenAddress: tokenEntry.address,
+        mode,
+        from: mode === 'forcedTransfer' ? ethers.getAddress(from) : null,
+        requestedBy,
+        totalRows: report.length,
+        rejected: report.length - valid.length,
+        sent: 0,
+        failed: 0,
+        batches: [],
+        rows: report,
+        createdAt: new Date().toISOString()
+    };
+    console.log(`[distribution] ${distribution.distributionId}: ${mode} to ${valid.length} of ${report.length} rows on ${tokenEntry.address}...`);
+
+    // Queue every chunk first so their nonces are consecutive, then wait for them together
+    const submissions = chunk(valid, mode === 'mint' ? 1 : batchSize).map((entries, index) => {
+        const to = entries.map(entry => entry.wallet);
+        const amounts = entries.map(entry => entry.units);
+        let txRequest;
+        if (mode === 'mint') {
+            txRequest = token.mint.populateTransaction(to[0], amounts[0]);
+        } else if (mode === 'transfer') {
+            txRequest = token.batchTransfer.populateTransaction(to, amounts);
+        } else {
+            txRequest = token.batchForcedTransfer.populateTransaction(to.map(() => distribution.from), to, amounts);
+        }
+        const label = mode === 'mint' ? `mint ${index + 1} (row ${entries[0].row})` : `batch ${mode} ${index + 1} (${entries.length} rows)`;
+        const tx = submitTransaction('tokenAgent', label, txRequest);
+        // Awaited below in batch order; until then a rejection must not count as unhandled
+        tx.catch(() => {});
+        return { index, entries, tx };
+    });
+
+    for (const { index, entries, tx } of submissions) {
+        const batch = { batch: index + 1, rows: entries.map(entry => entry.row), transactionHash: null, status: 'sent', reason: null };
+        try {
+            batch.transactionHash = (await waitForTransaction(await tx)).hash;
+        } catch (error) {
+            console.error(`❌ [distribution] ${distribution.distributionId}: batch ${index + 1} failed:`, error.shortMessage || error.message);
+            Object.assign(batch, { status: 'failed', reason: error.shortMessage || error.message });
+        }
+        for (const entry of entries) {
+            Object.assign(entry, { status: batch.status, transactionHash: batch.transactionHash, reason: batch.reason });
+        }
+        distribution.batches.push(batch);
+    }
+
+    distribution.sent = report.filter(entry => entry.status === 'sent').length;
+    distribution.failed = report.filter(entry => entry.status === 'failed').length;
+    distributionStore.set(distribution.distributionId, distribution);
+    console.log(`✅ [distribution] ${distribution.distributionId}: ${distribution.sent} sent, ${distribution.rejected} rejected, ${distribution.failed} failed.`);
+    return distribution;
+}
+
+/**
+ * Returns a stored distribution report.
+ * @param {string} distributionId The distribution id.
+ * @returns {object|undefined} The report.
+ */
+function getDistribution(distributionId) {
+    return distributionStore.get(distributionId);
+}
+
+module.exports = {
+    DISTRIBUTION_MODES,
+    parseDistributionCsv,
+    distributeTokens,
+    getDistribution
+};
@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+const { getNetwork, getProvider } = require('./config');
+
+/**
+ * Gas settings come from the active network profile's "gas" block (config/networks.json):
+ *   strategy                  "eip1559" | "legacy" | "fixed"
+ *   minPriorityFeeGwei        eip1559: floor for the priority fee (Amoy rejects tips below ~30 gwei)
+ *   priorityFeeBufferPercent  eip1559: buffer added on top of the priority fee
+ *   gasPriceBufferPercent     legacy: buffer added on top of the node's gasPrice
+ *   gasPriceGwei              fixed: legacy gas price to always use, or
+ *   maxFeePerGasGwei / maxPriorityFeePerGasGwei   fixed: EIP-1559 fees to always use
+ *   maxFeeCapGwei             upper bound on any fee we send, including bumped resubmissions
+ *   gasLimitBufferPercent     buffer added on top of estimateGas
+ *   stuckTimeoutSeconds       how long a transaction may stay unmined before it is resubmitted
+ *   bumpPercent               fee increase applied to each resubmission
+ */
+const DEFAULT_GAS_CONFIG = {
+    strategy: 'eip1559',
+    priorityFeeBufferPercent: 10,
+    gasPriceBufferPercent: 10,
+    gasLimitBufferPercent: 20,
+    stuckTimeoutSeconds: 120,
+    bumpPercent: 15
+};
+
+/**
+ * Returns the gas settings of the active network, with defaults filled in.
+ * @returns {object} The gas configuration.
+ */
+function getGasConfig() {
+    return { ...DEFAULT_GAS_CONFIG, ...(getNetwork().gas || {}) };
+}
+
+function gweiOrNull(value) {
+    return value === undefined || value === null ? null : ethers.parseUnits(String(value), 'gwei');
+}
+
+function addPercent(value, percent) {
+    return (value * BigInt(100 + percent)) / 100n;
+}
+
+/**
+ * Clamps every fee field of an overrides object to the configured maximum fee.
+ * @param {object} overrides Fee overrides (gasPrice, or maxFeePerGas and maxPriorityFeePerGas).
+ * @param {object} gasConfig The gas configuration.
+ * @returns {object} The capped overrides.
+ */
+function applyFeeCap(overrides, gasConfig) {
+    const cap = gweiOrNull(gasConfig.maxFeeCapGwei);
+    if (cap === null) {
+        return overrides;
+    }
+    const capped = { ...overrides };
+    for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+        if (capped[field] !== undefined && capped[field] > cap) {
+            console.log(`[gas] ${field} capped at ${gasConfig.maxFeeCapGwei} gwei.`);
+            capped[field] = cap;
+        }
+    }
+    return capped;
+}
+
+async function getEip1559Overrides(provider, gasConfig) {
+    const feeData = await provider.getFeeData();
+
+    if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
+        throw new Error("Failed to fetch complete fee data from the provider.");
+    }
+
+    let priorityFee = feeData.maxPriorityFeePerGas;
+    const minPriorityFee = gweiOrNull(gasConfig.minPriorityFeeGwei);
+    if (minPriorityFee !== null && priorityFee < minPriorityFee) {
+        console.log(`Provider's priority fee is too low. Using floor of ${gasConfig.minPriorityFeeGwei} Gwei.`);
+        priorityFee = minPriorityFee;
+    }
+
+    const bufferedPriorityFee = addPercent(priorityFee, gasConfig.priorityFeeBufferPercent);
+    const estimatedBaseFee = feeData.maxFeePerGas - feeData.maxPriorityFeePerGas;
+    return {
+        maxFeePerGas: estimatedBaseFee + bufferedPriorityFee,
+        maxPriorityFeePerGas: bufferedPriorityFee
+    };
+}
+
+async function getLegacyOverrides(provider, gasConfig) {
+    const feeData = await provider.getFeeData();
+    if (!feeData.gasPrice) {
+        throw new Error("Failed to fetch the gas price from the provider.");
+    }
+    return { gasPrice: addPercent(feeData.gasPrice, gasConfig.gasPriceBufferPercent) };
+}
+
+function getFixedOverrides(gasConfig) {
+    if (gasConfig.gasPriceGwei !== undefined) {
+        return { gasPrice: gweiOrNull(gasConfig.gasPriceGwei) };
+    }
+    if (gasConfig.maxFeePerGasGwei === undefined || gasConfig.maxPriorityFeePerGasGwei === undefined) {
+        throw new Error("The fixed gas strategy needs gasPriceGwei, or maxFeePerGasGwei and maxPriorityFeePerGasGwei.");
+    }
+    return {
+        maxFeePerGas: gweiOrNull(gasConfig.maxFeePerGasGwei),
+        maxPriorityFeePerGas: gweiOrNull(gasConfig.maxPriorityFeePerGasGwei)
+    };
+}
+
+function logOverrides(overrides) {
+    console.log(`Calculated Gas (Gwei):`);
+    if (overrides.gasPrice !== undefined) {
+        console.log(`  - Gas Price: ${ethers.formatUnits(overrides.gasPrice, "gwei")}`);
+    } else {
+        console.log(`  - Max Fee: ${ethers.formatUnits(overrides.maxFeePerGas, "gwei")}`);
+        console.log(`  - Priority Fee (Tip): ${ethers.formatUnits(overrides.maxPriorityFeePerGas, "gwei")}`);
+    }
+}
+
+/**
+ * Computes fee overrides with the active network's gas strategy.
+ * @param {ethers.Provider} [provider] The provider to query for fee data (defaults to the shared provider).
+ * @returns {Promise<object>} Either { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas } as bigints.
+ */
+async function getGasOverrides(provider = getProvider()) {
+    const gasConfig = getGasConfig();
+    console.log(`Fetching current network fee data (${gasConfig.strategy} strategy)...`);
+
+    let overrides;
+    switch (gasConfig.strategy) {
+        case 'eip1559':
+            overrides = await getEip1559Overrides(provider, gasConfig);
+            break;
+        case 'legacy':
+            overrides = await getLegacyOverrides(provider, gasConfig);
+            break;
+        case 'fixed':
+            overrides = getFixedOverrides(gasConfig);
+            break;
+        default:
+            throw new Error(`Unknown gas strategy "${gasConfig.strategy}".`);
+    }
+
+    overrides = applyFeeCap(overrides, gasConfig);
+    logOverrides(overrides);
+    return overrides;
+}
+
+/**
+ * Raises the fees of a pending transaction for resubmission.
+ * Nodes only accept a replacement that raises the fees (usually by at least 10%), so the bump is applied
+ * to the previous fees and the result is the higher of that and the current network fees, within the cap.
+ * @param {object} previous The fee overrides of the pending transaction.
+ * @param {ethers.Provider} [provider] The provider to query for fee data.
+ * @returns {Promise<object|null>} The bumped overrides, or null if the cap prevents any increase.
+ */
+async function getBumpedGasOverrides(previous, provider = getProvider()) {
+    const gasConfig = getGasConfig();
+    const current = await getGasOverrides(provider);
+
+    const bumped = {};
+    for (const field of Object.keys(previous)) {
+        const raised = addPercent(previous[field], gasConfig.bumpPercent);
+        bumped[field] = current[field] !== undefined && current[field] > raised ? current[field] : raised;
+    }
+
+    const capped = applyFeeCap(bumped, gasConfig);
+    const increased = Object.keys(previous).every(field => capped[field] > previous[field]);
+    return increased ? capped : null;
+}
+
+/**
+ * Estimates the gas limit of a transaction, plus the configured buffer.
+ * @param {ethers.Signer} signer The signer that will send the transaction.
+ * @param {object} txRequest The populated transaction request.
+ * @returns {Promise<bigint>} The gas limit to use.
+ */
+async function estimateGasLimit(signer, txRequest) {
+    const estimate = await signer.estimateGas(txRequest);
+    return addPercent(estimate, getGasConfig().gasLimitBufferPercent);
+}
+
+module.exports = {
+    getGasConfig,
+    getGasOverrides,
+    getBumpedGasOverrides,
+    estimateGasLimit
+};
@@ -8,9 +8,10 @@ const ID_FACTORY_ABI = require('../out/IIdFactory.sol/IIdFactory.json');
 const IDENTITY_ABI = require('../out/Identity.sol/Identity.json');
 const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
 
-// Contract addresses (remain unchanged)
-const ID_FACTORY = '0x39992CCEAEDB0fa8f4fd3f2FBC5134707635B371';
-const IDENTITY_REGISTRY = '0x7Eb85534067f0E123c85e60aBD8AF00EF642c361';
+// Contract addresses are resolved from the active network profile (see config/networks.json)
+const { getContractAddress } = require('./config');
+// Per-network gas strategies (see config/networks.json)
+const { getGasOverrides } = require('./gas');
 
 // Helper function to ensure environment variables are loaded
 function checkEnvVariables() {
@@ -19,53 +20,6 @@ function checkEnvVariables() {
     }
 }
 
-/**
- * Fetches current gas prices and returns a robust EIP-1559 compliant overrides object.
- * @param {ethers.JsonRpcProvider} provider The Ethers provider to query for fee data.
- * @returns {Promise<object>} An object containing valid maxFeePerGas and maxPriorityFeePerGas as BigInts.
- */
-async function getGasOverrides(provider) {
-    console.log("Fetching current network fee data...");
-    const feeData = await provider.getFeeData();
-
-    if (!feeData.maxFeePerGas || !feeData.maxPriorityFeePerGas) {
-        throw new Error("Failed to fetch complete fee data from the provider.");
-    }
-
-    // --- FIX: SET A MINIMUM FLOOR FOR THE PRIORITY FEE ---
-    // Ethers v6 uses native BigInt. Use the 'n' suffix for BigInt literals.
-    const amoyMinPriorityFee = ethers.parseUnits("32", "gwei"); // 32 Gwei as a safe minimum
-
-    let priorityFee = feeData.maxPriorityFeePerGas;
-
-    // v6 CHANGE: Use standard comparison operators (<, >, ===) with BigInts instead of .lt(), .gt()
-    if (priorityFee < amoyMinPriorityFee) {
-        console.log(`Provider's priority fee is too low. Using floor of 32 Gwei.`);
-        priorityFee = amoyMinPriorityFee;
-    }
-    // --------------------------------------------------------
-
-    // v6 CHANGE: Use standard arithmetic operators with BigInts.
-    // Note: Ensure at least one value in the operation is a BigInt (using 'n').
-    const bufferedPriorityFee = (priorityFee * 110n) / 100n;
-
-    const estimatedBaseFee = feeData.maxFeePerGas - feeData.maxPriorityFeePerGas;
-    const newMaxFeePerGas = estimatedBaseFee + bufferedPriorityFee;
-
-    const gasOverrides = {
-        maxFeePerGas: newMaxFeePerGas,
-        maxPriorityFeePerGas: bufferedPriorityFee,
-    };
-
-    console.log(`Calculated Gas (Gwei):`);
-    // v6 CHANGE: `formatUnits` is now a top-level export, not under `utils`.
-    console.log(`  - Max Fee: ${ethers.formatUnits(gasOverrides.maxFeePerGas, "gwei")}`);
-    console.log(`  - Priority Fee (Tip): ${ethers.formatUnits(gasOverrides.maxPriorityFeePerGas, "gwei")}`);
-
-    return gasOverrides;
-}
-
-
 // Deploys a new IdentityProxy contract for a user.
 async function createIdentity(userAddress, salt) {
     try {
@@ -76,7 +30,7 @@ async function createIdentity(userAddress, salt) {
         const adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
 
         // v6 CHANGE: Contract instantiation is also direct.
-        const idFactory = new ethers.Contract(ID_FACTORY, ID_FACTORY_ABI.abi, adminWallet);
+        const idFactory = new ethers.Contract(getContractAddress('idFactory'), ID_FACTORY_ABI.abi, adminWallet);
 
         const gasOverrides = await getGasOverrides(provider);
 
@@ -294,7 +248,7 @@ async function whitelistAddress(address, identityAddress, country) {
     const gasOverrides = await getGasOverrides(provider);
 
     try {
-        const idRegistry = new ethers.Contract(IDENTITY_REGISTRY, IDENTITY_REGISTRY_ABI.abi, wallet);
+        const idRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, wallet);
         // FIX: Added await to the contract call
         const tx = await idRegistry.registerIdentity(address, identityAddress, country, gasOverrides);
         console.log(`Transaction sent. Hash: ${tx.hash}`);
@@ -0,0 +1,206 @@
+const { ethers } = require('ethers');
+const IDENTITY_ABI = require('../out/Identity.sol/Identity.json');
+const { getProvider } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { getIdentityForUser } = require('./handleKyc');
+
+// ERC-734 key purposes and types
+const KEY_PURPOSES = { 1: 'MANAGEMENT', 2: 'ACTION', 3: 'CLAIM', 4: 'ENCRYPTION' };
+const KEY_TYPES = { 1: 'ECDSA', 2: 'RSA' };
+const KEY_PURPOSE_MANAGEMENT = 1;
+
+/**
+ * Turns an address or a bytes32 key into an ERC-734 key: keccak256(abi.encode(address)) for addresses.
+ * @param {string} addressOrKey A wallet address or a bytes32 key.
+ * @returns {string} The bytes32 key.
+ */
+function toKey(addressOrKey) {
+    if (ethers.isAddress(addressOrKey)) {
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address'], [addressOrKey]));
+    }
+    if (ethers.isHexString(addressOrKey, 32)) {
+        return addressOrKey.toLowerCase();
+    }
+    throw Object.assign(new Error('key must be an address or a bytes32 key.'), { statusCode: 400 });
+}
+
+function toPurpose(purpose) {
+    const value = Number(purpose);
+    if (!KEY_PURPOSES[value]) {
+        const known = Object.entries(KEY_PURPOSES).map(([id, name]) => `${id} (${name})`).join(', ');
+        throw Object.assign(new Error(`purpose must be one of: ${known}.`), { statusCode: 400 });
+    }
+    return value;
+}
+
+function getIdentityContract(identityAddress, runner) {
+    if (!ethers.isAddress(identityAddress)) {
+        throw Object.assign(new Error('identity is not a valid address.'), { statusCode: 400 });
+    }
+    return new ethers.Contract(identityAddress, IDENTITY_ABI.abi, runner || getProvider());
+}
+
+async function getServerKey() {
+    return toKey(await (await getSigner('deployer')).getAddress());
+}
+
+/**
+ * Reads the purposes an address or bytes32 key holds on an identity (exactly, unlike keyHasPurpose).
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} addressOrKey A wallet address or a bytes32 key.
+ * @returns {Promise<number[]>} The key's purposes.
+ */
+async function getIdentityKeyPurposes(identityAddress, addressOrKey) {
+    return (await getIdentityContract(identityAddress).getKeyPurposes(toKey(addressOrKey))).map(Number);
+}
+
+// Key changes are signed with the server's key, which only works while it is still a manager
+async function assertServerManages(identity) {
+    const serverKey = await getServerKey();
+    if (!(await identity.getKeyPurposes(serverKey)).map(Number).includes(KEY_PURPOSE_MANAGEMENT)) {
+        throw Object.assign(
+            new Error('The server no longer holds a MANAGEMENT key on this identity (custody was handed over).'),
+            { statusCode: 409 }
+        );
+    }
+}
+
+/**
+ * Lists an identity's keys grouped by purpose.
+ * @param {string} identityAddress The identity contract address.
+ * @returns {Promise<object>} { identityAddress, serverKey, purposes: { MANAGEMENT: [{ key, keyType, purposes, isServerKey }], ... } }
+ */
+async function listIdentityKeys(identityAddress) {
+    const identity = getIdentityContract(identityAddress);
+    const serverKey = await getServerKey();
+
+    const purposes = {};
+    for (const [purpose, name] of Object.entries(KEY_PURPOSES)) {
+        purposes[name] = [];
+        for (const key of await identity.getKeysByPurpose(purpose)) {
+            const [keyPurposes, keyType] = await identity.getKey(key);
+            purposes[name].push({
+                key,
+                keyType: KEY_TYPES[Number(keyType)] || Number(keyType),
+                purposes: keyPurposes.map(value => KEY_PURPOSES[Number(value)] || Number(value)),
+                isServerKey: key.toLowerCase() === serverKey
+            });
+        }
+    }
+    return { identityAddress: ethers.getAddress(identityAddress), serverKey, purposes };
+}
+
+/**
+ * Adds a key with a purpose to an identity, signed by the server's management key.
+ * Does nothing if the key already holds the purpose.
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} addressOrKey A wallet address or a bytes32 key.
+ * @param {number} purpose The key purpose (1 MANAGEMENT, 2 ACTION, 3 CLAIM, 4 ENCRYPTION).
+ * @param {number} [keyType] The key type (1 ECDSA, 2 RSA).
+ * @returns {Promise<string|null>} The transaction hash, or null if the key already held the purpose.
+ */
+async function addIdentityKey(identityAddress, addressOrKey, purpose, keyType = 1) {
+    const key = toKey(addressOrKey);
+    const keyPurpose = toPurpose(purpose);
+    if (!KEY_TYPES[Number(keyType)]) {
+        throw Object.assign(new Error('keyType must be 1 (ECDSA) or 2 (RSA).'), { statusCode: 400 });
+    }
+    const identity = getIdentityContract(identityAddress, await getSigner('deployer'));
+
+    // getKeyPurposes, not keyHasPurpose: the latter treats a management key as holding every purpose
+    if ((await identity.getKeyPurposes(key)).map(Number).includes(keyPurpose)) {
+        console.log(`Key ${key} already has purpose ${KEY_PURPOSES[keyPurpose]} on ${identityAddress}. Skipping.`);
+        return null;
+    }
+    await assertServerManages(identity);
+    console.log(`Adding ${KEY_PURPOSES[keyPurpose]} key ${key} to ${identityAddress}...`);
+    const tx = await submitTransaction('deployer', `addKey(${KEY_PURPOSES[keyPurpose].toLowerCase()})`,
+        identity.addKey.populateTransaction(key, keyPurpose, Number(keyType))
+    );
+    const receipt = await waitForTransaction(tx);
+    console.log(`✅ Key added. Transaction hash: ${receipt.hash}`);
+    return receipt.hash;
+}
+
+/**
+ * Removes a purpose from an identity key, signed by the server's management key.
+ * Refuses (409) to remove the last MANAGEMENT key, which would leave the identity without a manager.
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} addressOrKey A wallet address or a bytes32 key.
+ * @param {number} purpose The key purpose to remove.
+ * @returns {Promise<string>} The transaction hash.
+ */
+async function removeIdentityKey(identityAddress, addressOrKey, purpose) {
+    const key = toKey(addressOrKey);
+    const keyPurpose = toPurpose(purpose);
+    const identity = getIdentityContract(identityAddress, await getSigner('deployer'));
+
+    if (!(await identity.getKeyPurposes(key)).map(Number).includes(keyPurpose)) {
+        throw Object.assign(
+            new Error(`Key ${key} does not have purpose ${KEY_PURPOSES[keyPurpose]} on ${identityAddress}.`),
+            { statusCode: 404 }
+        );
+    }
+    if (keyPurpose === KEY_PURPOSE_MANAGEMENT) {
+        const managers = await identity.getKeysByPurpose(KEY_PURPOSE_MANAGEMENT);
+        if (managers.filter(manager => manager.toLowerCase() !== key).length === 0) {
+            throw Object.assign(
+                new Error('Refusing to remove the last MANAGEMENT key; the identity would be left without a manager.'),
+                { statusCode: 409 }
+            );
+        }
+    }
+
+    await assertServerManages(identity);
+    console.log(`Removing ${KEY_PURPOSES[keyPurpose]} key ${key} from ${identityAddress}...`);
+    const tx = await submitTransaction('deployer', `removeKey(${KEY_PURPOSES[keyPurpose].toLowerCase()})`,
+        identity.removeKey.populateTransaction(key, keyPurpose)
+    );
+    const receipt = await waitForTransaction(tx);
+    console.log(`✅ Key removed. Transaction hash: ${receipt.hash}`);
+    return receipt.hash;
+}
+
+/**
+ * Hands custody of an investor's identity over to the investor: once the investor's wallet key is confirmed
+ * as a MANAGEMENT key, the server's own MANAGEMENT key is removed. After this the server can no longer
+ * manage keys or add claims on the identity; the investor has to do it.
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} userAddress The investor's wallet address (must own the identity per the ID factory).
+ * @returns {Promise<object>} { identityAddress, userAddress, transactionHash } (null hash if already handed over).
+ */
+async function handOverCustody(identityAddress, userAddress) {
+    const identity = getIdentityContract(identityAddress);
+    if (ethers.getAddress(await getIdentityForUser(userAddress)) !== ethers.getAddress(identityAddress)) {
+        throw Object.assign(new Error(`${identityAddress} is not the identity of ${userAddress}.`), { statusCode: 403 });
+    }
+
+    const userKey = toKey(userAddress);
+    if (!(await identity.getKeyPurposes(userKey)).map(Number).includes(KEY_PURPOSE_MANAGEMENT)) {
+        throw Object.assign(
+            new Error(`${userAddress} is not a MANAGEMENT key on ${identityAddress} yet; add it before handing over custody.`),
+            { statusCode: 409 }
+        );
+    }
+
+    const serverKey = await getServerKey();
+    const result = { identityAddress: ethers.getAddress(identityAddress), userAddress: ethers.getAddress(userAddress) };
+    if (!(await identity.getKeyPurposes(serverKey)).map(Number).includes(KEY_PURPOSE_MANAGEMENT)) {
+        console.log(`Server key is no longer a manager of ${identityAddress}. Custody already handed over.`);
+        return { ...result, transactionHash: null };
+    }
+    // removeIdentityKey re-checks that a manager is left
+    const transactionHash = await removeIdentityKey(identityAddress, serverKey, KEY_PURPOSE_MANAGEMENT);
+    console.log(`✅ Custody of ${identityAddress} handed over to ${userAddress}.`);
+    return { ...result, transactionHash };
+}
+
+module.exports = {
+    KEY_PURPOSES,
+    listIdentityKeys,
+    getIdentityKeyPurposes,
+    addIdentityKey,
+    removeIdentityKey,
+    handOverCustody
+};
@@ -0,0 +1,584 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const IDENTITY_REGISTRY_STORAGE_ABI = require('../out/IdentityRegistryStorage.sol/IdentityRegistryStorage.json');
+const ID_FACTORY_ABI = require('../out/IdFactory.sol/IdFactory.json');
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const IDENTITY_ABI = require('../out/Identity.sol/Identity.json');
+const { getNetworkName, getNetwork, getProvider } = require('./config');
+const { DATA_DIR } = require('./store');
+const { listTokens, formatTokenAmount } = require('./tokenCatalogue');
+
+/**
+ * Indexer settings come from the active network profile's "indexer" block (config/networks.json):
+ *   startBlock           the block indexing starts at (defaults to the latest block at first start); catalogue
+ *                        tokens with an earlier deployedAtBlock are backfilled from it
+ *   pollIntervalSeconds  how often new blocks are indexed
+ *   blockRange           blocks per eth_getLogs call, to stay under public RPC range limits
+ */
+const DEFAULT_INDEXER_CONFIG = {
+    startBlock: null,
+    pollIntervalSeconds: 15,
+    blockRange: 2000
+};
+
+// How many blocks below the checkpoint keep their hash, to find the fork point after a reorg
+const REORG_WINDOW = 256;
+
+// Identity addresses per eth_getLogs call for claim events, to stay under RPC address-list limits
+const IDENTITY_LOGS_CHUNK = 100;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Indexed events per source kind, with the args stored in the `subject` and `counterparty` columns
+ * so that ?address= finds an event from either side. A null subject is the emitting contract.
+ *   factory   the network profile's IdFactory
+ *   storage   the identity registry storage of every catalogue token
+ *   token     every catalogue token
+ *   identity  every ONCHAINID seen in IdentityStored, IdentityUnstored or WalletLinked
+ */
+const SOURCE_KINDS = {
+    factory: {
+        abi: ID_FACTORY_ABI.abi,
+        events: { WalletLinked: ['wallet', 'identity'] }
+    },
+    storage: {
+        abi: IDENTITY_REGISTRY_STORAGE_ABI.abi,
+        events: {
+            IdentityStored: ['investorAddress', 'identity'],
+            IdentityUnstored: ['investorAddress', 'identity'],
+            CountryModified: ['investorAddress', null]
+        }
+    },
+    token: {
+        abi: TOKEN_ABI.abi,
+        events: {
+            Transfer: ['from', 'to'],
+            TokensFrozen: ['_userAddress', null],
+            AddressFrozen: ['_userAddress', '_owner']
+        }
+    },
+    identity: {
+        abi: IDENTITY_ABI.abi,
+        events: {
+            ClaimAdded: [null, 'issuer'],
+            ClaimRemoved: [null, 'issuer']
+        }
+    }
+};
+
+for (const kind of Object.values(SOURCE_KINDS)) {
+    kind.interface = new ethers.Interface(kind.abi);
+    kind.topics = Object.keys(kind.events).map(name => kind.interface.getEvent(name).topicHash);
+}
+
+const INDEXED_EVENTS = Object.values(SOURCE_KINDS).flatMap(kind => Object.keys(kind.events));
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS sources (address TEXT PRIMARY KEY, kind TEXT NOT NULL, synced_to INTEGER NOT NULL, indexed_from INTEGER);
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER);
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        timestamp INTEGER,
+        transaction_hash TEXT NOT NULL,
+        contract TEXT NOT NULL,
+        event TEXT NOT NULL,
+        subject TEXT,
+        counterparty TEXT,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_event ON events (event, block_number);
+    CREATE INDEX IF NOT EXISTS events_by_subject ON events (subject);
+    CREATE INDEX IF NOT EXISTS events_by_counterparty ON events (counterparty);
+    CREATE INDEX IF NOT EXISTS events_by_contract ON events (contract);
+`;
+
+let database = null;
+let indexerTimer = null;
+let processing = null;
+let lastRun = { at: null, error: null };
+// Identity registry -> identity registry storage, read once per registry
+const storageByRegistry = new Map();
+
+/**
+ * Returns the indexer settings of the active network, with defaults filled in.
+ * @returns {object} The indexer configuration.
+ */
+function getIndexerConfig() {
+    return { ...DEFAULT_INDEXER_CONFIG, ...(getNetwork().indexer || {}) };
+}
+
+// One database file per network under DATA_DIR
+function getDatabase() {
+    if (!database) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        database = new Database(path.join(DATA_DIR, `index-${getNetworkName()}.sqlite`));
+        database.pragma('journal_mode = WAL');
+        database.exec(SCHEMA);
+        // Databases created before indexed_from existed; a null indexed_from means the start block
+        if (!database.prepare('PRAGMA table_info(sources)').all().some(column => column.name === 'indexed_from')) {
+            database.exec('ALTER TABLE sources ADD COLUMN indexed_from INTEGER');
+        }
+    }
+    return database;
+}
+
+function getState(key) {
+    const row = getDatabase().prepare('SELECT value FROM state WHERE key = ?').get(key);
+    return row ? Number(row.value) : null;
+}
+
+function setState(key, value) {
+    getDatabase().prepare('INSERT INTO state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+        .run(key, String(value));
+}
+
+/**
+ * Adds a source indexed from the start block, or from fromBlock when that is earlier (a token deployed before
+ * the indexer started). A known source given an earlier fromBlock is rewound so the next pass backfills it.
+ */
+function addSource(address, kind, fromBlock) {
+    const db = getDatabase();
+    const startBlock = getState('startBlock');
+    const from = fromBlock === undefined || fromBlock === null ? startBlock : Math.min(fromBlock, startBlock);
+    const sourceAddress = ethers.getAddress(address);
+    db.prepare('INSERT OR IGNORE INTO sources (address, kind, synced_to, indexed_from) VALUES (?, ?, ?, ?)')
+        .run(sourceAddress, kind, from - 1, from);
+    db.prepare(`UPDATE sources SET synced_to = MIN(synced_to, ?), indexed_from = ?
+        WHERE address = ? AND COALESCE(indexed_from, ?) > ?`).run(from - 1, from, sourceAddress, startBlock, from);
+}
+
+// The IdFactory and every catalogue token with its identity registry storage; tokens with a known
+// deployment block are indexed from it, so their full Transfer history is available for cap tables
+async function discoverContractSources() {
+    const idFactory = getNetwork().contracts.idFactory;
+    if (idFactory) {
+        addSource(idFactory, 'factory');
+    }
+    for (const token of await listTokens()) {
+        addSource(token.address, 'token', token.deployedAtBlock);
+        if (!storageByRegistry.has(token.identityRegistry)) {
+            const registry = new ethers.Contract(token.identityRegistry, IDENTITY_REGISTRY_ABI.abi, getProvider());
+            storageByRegistry.set(token.identityRegistry, await registry.identityStorage());
+        }
+        addSource(storageByRegistry.get(token.identityRegistry), 'storage', token.deployedAtBlock);
+    }
+}
+
+function normaliseArg(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return Array.isArray(value) ? value.map(normaliseArg) : value;
+}
+
+// Decodes a log into an events row; identities it mentions become sources
+function decodeLog(log, kindName) {
+    const kind = SOURCE_KINDS[kindName];
+    const parsed = kind.interface.parseLog(log);
+    if (!parsed || !kind.events[parsed.name]) {
+        return null;
+    }
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+        args[input.name.replace(/^_/, '')] = normaliseArg(parsed.args[index]);
+    });
+    const [subjectArg, counterpartyArg] = kind.events[parsed.name];
+    if (args.identity && args.identity !== ethers.ZeroAddress) {
+        addSource(args.identity, 'identity');
+    }
+    return {
+        block_number: log.blockNumber,
+        log_index: log.index,
+        block_hash: log.blockHash,
+        transaction_hash: log.transactionHash,
+        contract: ethers.getAddress(log.address),
+        event: parsed.name,
+        subject: subjectArg ? parsed.args[subjectArg] : ethers.getAddress(log.address),
+        counterparty: counterpartyArg ? parsed.args[counterpartyArg] : null,
+        args: JSON.stringify(args)
+    };
+}
+
+// Block timestamps for the rows, also recording each block's hash for reorg detection
+async function readBlocks(rows, toBlock) {
+    const numbers = [...new Set([...rows.map(row => row.block_number), toBlock])];
+    const blocks = new Map();
+    for (const number of numbers) {
+        const block = await getProvider().getBlock(number);
+        if (!block) {
+            throw new Error(`Block ${number} is not available from the RPC node yet.`);
+        }
+        blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+    }
+    for (const row of rows) {
+        // A log from a block that has since been replaced is picked up again after the rollback
+        if (blocks.get(row.block_number).hash !== row.block_hash) {
+            throw new Error(`Block ${row.block_number} changed while it was being indexed (reorg); retrying.`);
+        }
+        row.timestamp = blocks.get(row.block_number).timestamp;
+    }
+    return [...blocks.values()];
+}
+
+function writeRows(rows, blocks) {
+    const db = getDatabase();
+    const insertEvent = db.prepare(`INSERT OR IGNORE INTO events
+        (block_number, log_index, block_hash, timestamp, transaction_hash, contract, event, subject, counterparty, args)
+        VALUES (@block_number, @log_index, @block_hash, @timestamp, @transaction_hash, @contract, @event, @subject, @counterparty, @args)`);
+    rows.forEach(row => insertEvent.run(row));
+    const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)');
+    blocks.forEach(block => insertBlock.run(block));
+}
+
+// Indexes new blocks for every source that is in sync with the checkpoint
+async function indexForward(fromBlock, toBlock) {
+    const db = getDatabase();
+    const provider = getProvider();
+    const contracts = db.prepare("SELECT address, kind FROM sources WHERE kind != 'identity' AND synced_to = ?").all(fromBlock - 1);
+    const kindByAddress = new Map(contracts.map(source => [source.address, source.kind]));
+
+    const contractLogs = contracts.length === 0 ? [] : await provider.getLogs({
+        address: contracts.map(source => source.address),
+        topics: [[...new Set(contracts.flatMap(source => SOURCE_KINDS[source.kind].topics))]],
+        fromBlock,
+        toBlock
+    });
+    // Listed before decoding: identities the contract logs reveal are backfilled on the next pass instead
+    const identities = db.prepare("SELECT address FROM sources WHERE kind = 'identity' AND synced_to = ?").all(fromBlock - 1)
+        .map(source => source.address);
+    const claimLogs = [];
+    for (let i = 0; i < identities.length; i += IDENTITY_LOGS_CHUNK) {
+        claimLogs.push(...await provider.getLogs({
+            address: identities.slice(i, i + IDENTITY_LOGS_CHUNK),
+            topics: [SOURCE_KINDS.identity.topics],
+            fromBlock,
+            toBlock
+        }));
+    }
+
+    const rows = contractLogs
+        .filter(log => !log.removed)
+        .map(log => decodeLog(log, kindByAddress.get(ethers.getAddress(log.address))));
+    rows.push(...claimLogs.filter(log => !log.removed).map(log => decodeLog(log, 'identity')));
+
+    const indexed = rows.filter(Boolean);
+    const blocks = await readBlocks(indexed, toBlock);
+    db.transaction(() => {
+        writeRows(indexed, blocks);
+        // Only the sources queried above; ones added while this range was decoded are backfilled on the next pass
+        const markSynced = db.prepare('UPDATE sources SET synced_to = ? WHERE address = ?');
+        [...contracts.map(source => source.address), ...identities].forEach(address => markSynced.run(toBlock, address));
+        setState('checkpoint', toBlock);
+        db.prepare('DELETE FROM blocks WHERE number < ?').run(toBlock - REORG_WINDOW);
+    })();
+    return indexed.length;
+}
+
+// Catches up a source added after the checkpoint passed its start (a new token, a newly seen identity)
+async function backfillSource(source, checkpoint) {
+    const { blockRange } = getIndexerConfig();
+    const kind = SOURCE_KINDS[source.kind];
+    let fromBlock = source.synced_to + 1;
+    while (fromBlock <= checkpoint) {
+        const toBlock = Math.min(fromBlock + blockRange - 1, checkpoint);
+        const logs = await getProvider().getLogs({ address: source.address, topics: [kind.topics], fromBlock, toBlock });
+        const rows = logs.filter(log => !log.removed).map(log => decodeLog(log, source.kind)).filter(Boolean);
+        const blocks = await readBlocks(rows, toBlock);
+        getDatabase().transaction(() => {
+            writeRows(rows, blocks);
+            getDatabase().prepare('UPDATE sources SET synced_to = ? WHERE address = ?').run(toBlock, source.address);
+        })();
+        fromBlock = toBlock + 1;
+    }
+}
+
+/**
+ * Compares the checkpoint's block hash with the chain. On a mismatch, walks back through the recorded
+ * hashes to the last block both agree on and deletes everything indexed after it.
+ * @returns {Promise<number|null>} The block rolled back to, or null when there was no reorg.
+ */
+async function rollBackReorg(checkpoint) {
+    const db = getDatabase();
+    const provider = getProvider();
+    const known = db.prepare('SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC').all(checkpoint);
+    if (known.length === 0 || known[0].number !== checkpoint) {
+        return null;
+    }
+
+    let ancestor = null;
+    for (const block of known) {
+        const onChain = await provider.getBlock(block.number);
+        if (onChain && onChain.hash === block.hash) {
+            ancestor = block.number;
+            break;
+        }
+    }
+    if (ancestor === checkpoint) {
+        return null;
+    }
+    if (ancestor === null) {
+        ancestor = Math.max(known[known.length - 1].number - 1, getState('startBlock') - 1);
+    }
+
+    db.transaction(() => {
+        db.prepare('DELETE FROM events WHERE block_number > ?').run(ancestor);
+        db.prepare('DELETE FROM blocks WHERE number > ?').run(ancestor);
+        db.prepare('UPDATE sources SET synced_to = ? WHERE synced_to > ?').run(ancestor, ancestor);
+        setState('checkpoint', ancestor);
+    })();
+    console.warn(`[indexer] Reorg detected: rolled back from block ${checkpoint} to ${ancestor}.`);
+    return ancestor;
+}
+
+/**
+ * Runs one indexing pass: rolls back a reorg if there was one, backfills new sources up to the checkpoint,
+ * then indexes every new block up to the chain head. Concurrent calls share the pass in progress.
+ * @returns {Promise<void>}
+ */
+async function runIndexer() {
+    if (!processing) {
+        processing = (async () => {
+            const { startBlock, blockRange } = getIndexerConfig();
+            const latestBlock = await getProvider().getBlockNumber();
+            if (getState('startBlock') === null) {
+                const firstBlock = startBlock !== null ? Number(startBlock) : latestBlock;
+                setState('startBlock', firstBlock);
+                setState('checkpoint', firstBlock - 1);
+            }
+
+            await rollBackReorg(getState('checkpoint'));
+            await discoverContractSources();
+
+            let checkpoint = getState('checkpoint');
+            let pending;
+            // Backfilled sources can reveal identities, which are backfilled in turn
+            while ((pending = getDatabase().prepare('SELECT * FROM sources WHERE synced_to < ?').all(checkpoint)).length > 0) {
+                for (const source of pending) {
+                    await backfillSource(source, checkpoint);
+                }
+            }
+
+            while (checkpoint < latestBlock) {
+                const toBlock = Math.min(checkpoint + blockRange, latestBlock);
+                const count = await indexForward(checkpoint + 1, toBlock);
+                if (count > 0) {
+                    console.log(`[indexer] Indexed ${count} events in blocks ${checkpoint + 1}-${toBlock}.`);
+                }
+                checkpoint = toBlock;
+            }
+            lastRun = { at: new Date().toISOString(), error: null };
+        })().catch(error => {
+            lastRun = { at: new Date().toISOString(), error: error.shortMessage || error.message };
+            throw error;
+        }).finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+/**
+ * Starts indexing in the background, every pollIntervalSeconds.
+ */
+function startIndexer() {
+    if (indexerTimer) {
+        return;
+    }
+    const { pollIntervalSeconds } = getIndexerConfig();
+    const poll = () => runIndexer().catch(error => {
+        console.error('[indexer] Indexing failed:', error.shortMessage || error.message);
+    });
+    indexerTimer = setInterval(poll, pollIntervalSeconds * 1000);
+    poll();
+    console.log(`✅ Indexer: indexing ${getNetworkName()} into ${path.join(DATA_DIR, `index-${getNetworkName()}.sqlite`)} every ${pollIntervalSeconds}s.`);
+}
+
+/**
+ * Reports how far the indexer got and what it follows.
+ * @returns {Promise<object>} { network, startBlock, checkpoint, latestBlock, behind, lastRunAt, lastError, sources, events }
+ */
+async function getIndexerStatus() {
+    const db = getDatabase();
+    const latestBlock = await getProvider().getBlockNumber();
+    const checkpoint = getState('checkpoint');
+    const all = sql => db.prepare(sql).all();
+    return {
+        network: getNetworkName(),
+        startBlock: getState('startBlock'),
+        checkpoint,
+        latestBlock,
+        behind: checkpoint === null ? null : latestBlock - checkpoint,
+        lastRunAt: lastRun.at,
+        lastError: lastRun.error,
+        sources: {
+            contracts: all("SELECT address, kind, synced_to AS syncedTo FROM sources WHERE kind != 'identity' ORDER BY kind"),
+            identities: all("SELECT COUNT(*) AS count FROM sources WHERE kind = 'identity'")[0].count
+        },
+        events: Object.fromEntries(all('SELECT event, COUNT(*) AS count FROM events GROUP BY event').map(row => [row.event, row.count]))
+    };
+}
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function toUnixSeconds(value, name) {
+    const time = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw badRequest(`${name} must be an ISO date or unix seconds.`);
+    }
+    return Math.floor(time / 1000);
+}
+
+function toBlockNumber(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw badRequest(`${name} must be a block number.`);
+    }
+    return Number(value);
+}
+
+/**
+ * Queries indexed events, newest first, a page at a time.
+ * @param {object} query {
+ *            event: "IdentityStored,IdentityUnstored", address: wallet or identity on either side, contract,
+ *            fromBlock, toBlock, since, until (ISO dates or unix seconds), limit, cursor (from the previous page)
+ *        }
+ * @returns {Promise<object>} { items: [{ event, contract, blockNumber, timestamp, transactionHash, logIndex,
+ *          subject, counterparty, args, amount }], nextCursor } with token amounts as decimal strings in `amount`.
+ */
+async function queryEvents(query = {}) {
+    const conditions = [];
+    const params = {};
+    if (query.event) {
+        const events = String(query.event).split(',').map(event => event.trim());
+        const unknown = events.filter(event => !INDEXED_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw badRequest(`Unknown event ${unknown.join(', ')}. Indexed events: ${INDEXED_EVENTS.join(', ')}.`);
+        }
+        conditions.push(`event IN (${events.map((event, index) => `@event${index}`).join(', ')})`);
+        events.forEach((event, index) => { params[`event${index}`] = event; });
+    }
+    for (const name of ['address', 'contract']) {
+        if (query[name] && !ethers.isAddress(query[name])) {
+            throw badRequest(`${name} must be a valid address.`);
+        }
+    }
+    if (query.address) {
+        conditions.push('(subject = @address OR counterparty = @address)');
+        params.address = ethers.getAddress(query.address);
+    }
+    if (query.contract) {
+        conditions.push('contract = @contract');
+        params.contract = ethers.getAddress(query.contract);
+    }
+    if (query.fromBlock) {
+        conditions.push('block_number >= @fromBlock');
+        params.fromBlock = toBlockNumber(query.fromBlock, 'fromBlock');
+    }
+    if (query.toBlock) {
+        conditions.push('block_number <= @toBlock');
+        params.toBlock = toBlockNumber(query.toBlock, 'toBlock');
+    }
+    if (query.since) {
+        conditions.push('timestamp >= @since');
+        params.since = toUnixSeconds(query.since, 'since');
+    }
+    if (query.until) {
+        conditions.push('timestamp < @until');
+        params.until = toUnixSeconds(query.until, 'until');
+    }
+    if (query.cursor) {
+        const match = /^(\d+):(\d+)$/.exec(query.cursor);
+        if (!match) {
+            throw badRequest('cursor must be the nextCursor of a previous page.');
+        }
+        conditions.push('(block_number, log_index) < (@cursorBlock, @cursorLog)');
+        params.cursorBlock = Number(match[1]);
+        params.cursorLog = Number(match[2]);
+    }
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw badRequest(`limit must be between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+
+    const rows = getDatabase().prepare(`SELECT * FROM events
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY block_number DESC, log_index DESC LIMIT ${limit + 1}`).all(params);
+    const page = rows.slice(0, limit);
+    const tokens = new Map((await listTokens()).map(token => [token.address, token]));
+
+    return {
+        items: page.map(row => {
+            const args = JSON.parse(row.args);
+            const token = tokens.get(row.contract);
+            const units = row.event === 'Transfer' ? args.value : row.event === 'TokensFrozen' ? args.amount : undefined;
+            return {
+                event: row.event,
+                contract: row.contract,
+                blockNumber: row.block_number,
+                timestamp: row.timestamp === null ? null : new Date(row.timestamp * 1000).toISOString(),
+                transactionHash: row.transaction_hash,
+                logIndex: row.log_index,
+                subject: row.subject,
+                counterparty: row.counterparty,
+                args,
+                amount: units !== undefined && token ? formatTokenAmount(token, units) : null
+            };
+        }),
+        nextCursor: rows.length > limit ? `${page[page.length - 1].block_number}:${page[page.length - 1].log_index}` : null
+    };
+}
+
+/**
+ * Returns a token's indexed Transfer events up to a block, oldest first.
+ * @param {string} tokenAddress The token address (a catalogue token, so the indexer follows it).
+ * @param {number} [toBlock] The last block to include; defaults to the block the token is indexed through.
+ * @returns {object} { block, indexedFrom, transfers: [{ from, to, value }] } with values in base units as bigints;
+ *          indexedFrom is the first block of the token's indexed history.
+ */
+function getTransferHistory(tokenAddress, toBlock) {
+    const db = getDatabase();
+    const address = ethers.getAddress(tokenAddress);
+    const source = db.prepare("SELECT synced_to, indexed_from FROM sources WHERE address = ? AND kind = 'token'").get(address);
+    // Below the start block, the token's earlier history is still being backfilled
+    if (!source || source.synced_to < getState('startBlock')) {
+        throw Object.assign(new Error(`Token ${address} has not been indexed yet; try again after the next indexer pass.`), { statusCode: 409 });
+    }
+    const indexedFrom = source.indexed_from === null ? getState('startBlock') : source.indexed_from;
+    const block = toBlock === undefined ? source.synced_to : toBlock;
+    if (block < indexedFrom) {
+        throw badRequest(`block must be at or after block ${indexedFrom}, where the token's indexed history starts.`);
+    }
+    if (block > source.synced_to) {
+        throw Object.assign(new Error(`Token ${address} is only indexed through block ${source.synced_to}.`), { statusCode: 409 });
+    }
+    const rows = db.prepare(`SELECT args FROM events WHERE contract = ? AND event = 'Transfer' AND block_number <= ?
+        ORDER BY block_number, log_index`).all(address, block);
+    return {
+        block,
+        indexedFrom,
+        transfers: rows.map(row => {
+            const { from, to, value } = JSON.parse(row.args);
+            return { from, to, value: BigInt(value) };
+        })
+    };
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    getIndexerConfig,
+    runIndexer,
+    startIndexer,
+    getIndexerStatus,
+    queryEvents,
+    getTransferHistory
+};
@@ -1,33 +1,119 @@
 require('dotenv').config();
 const { ethers } = require('ethers');
 const IToken = require('../abi/token/IToken.sol/IToken.json');
+// abi/token's IToken has no paused(); the T-REX interface in out/ does
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const COMPLIANCE_ABI = require('../out/IModularCompliance.sol/IModularCompliance.json');
+const { getProvider } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { getToken, parseTokenAmount, formatTokenAmount } = require('./tokenCatalogue');
 
 
-function checkEnvVariables() {
-    if (!process.env.ADMIN_PRIVATE_KEY || !process.env.RPC_URL) {
-        throw new Error("Missing required environment variables (ADMIN_PRIVATE_KEY or RPC_URL).");
+// Runs the mint checks for an amount already converted to base units
+async function runMintChecks(to, token, value) {
+    const provider = getProvider();
+    const tokenContract = new ethers.Contract(token.address, TOKEN_ABI.abi, provider);
+    const idRegistry = new ethers.Contract(token.identityRegistry, IDENTITY_REGISTRY_ABI.abi, provider);
+    const compliance = new ethers.Contract(token.compliance, COMPLIANCE_ABI.abi, provider);
+    const checks = [];
+
+    const inRegistry = await idRegistry.contains(to);
+    const verified = inRegistry && await idRegistry.isVerified(to);
+    checks.push({
+        check: 'identityVerified',
+        passed: verified,
+        detail: verified ? `${to} is verified in the identity registry.`
+            : inRegistry ? `${to} is registered but its identity lacks a valid claim for a required topic.`
+            : `${to} is not in the identity registry.`,
+        remedy: verified ? null
+            : inRegistry ? 'Check GET /investors/:address for the missing or invalid claim and have it (re-)issued.'
+            : 'The investor has to complete onboarding (POST /onboard) so the wallet gets registered.'
+    });
+
+    const paused = await tokenContract.paused();
+    checks.push({
+        check: 'tokenNotPaused',
+        passed: !paused,
+        detail: paused ? 'The token is paused.' : 'The token is not paused.',
+        remedy: paused ? 'An operator has to unpause the token (POST /tokens/:id/agent/unpause).' : null
+    });
+
+    const frozen = await tokenContract.isFrozen(to);
+    checks.push({
+        check: 'recipientNotFrozen',
+        passed: !frozen,
+        detail: frozen ? `${to} is frozen on the token.` : `${to} is not frozen.`,
+        remedy: frozen ? 'A compliance officer has to unfreeze the wallet (POST /tokens/:id/agent/unfreeze).' : null
+    });
+
+    // A mint is checked by the compliance as a transfer from the zero address
+    let compliant = false;
+    try {
+        compliant = await compliance.canTransfer(ethers.ZeroAddress, to, value);
+    } catch (error) {
+        console.error("Error calling compliance canTransfer:", error.shortMessage || error.message);
     }
+    checks.push({
+        check: 'complianceCanTransfer',
+        passed: compliant,
+        detail: compliant ? 'The compliance accepts the mint.' : `The compliance rejects minting ${formatTokenAmount(token, value)} ${token.symbol} to ${to}.`,
+        remedy: compliant ? null : "A compliance module blocks it (e.g. a country restriction or an investor or supply limit); review the token's compliance modules or the amount."
+    });
+
+    return { eligible: checks.every(check => check.passed), checks };
 }
 
-async function mintTokens(to, amount, tokenAddress) {
-    try{
-        checkEnvVariables();
-    console.log("Minting", amount, "tokens to", to, "on contract", tokenAddress = "0x3eaC25f463ed170fC79EfD629A0BD93f9336A016");
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
-    console.log("rpc", process.env.RPC_URL);
-    console.log("wallet", wallet.address);
-    const tokenContract = new ethers.Contract(tokenAddress, IToken.abi, wallet);
-    const tx = await tokenContract.mint(to, amount);
-    await tx.wait();
-    console.log("Minted tokens, transaction hash:", tx.hash);
-    return tx.hash;
-    } catch (error) {
-        console.error("Error minting tokens:", error);
-        throw error;
+function parseMintRequest(to, amount, token) {
+    if (!to || !ethers.isAddress(to)) {
+        throw Object.assign(new Error('to must be a valid address.'), { statusCode: 400 });
     }
-    return tx.hash;
+    return parseTokenAmount(token, amount);
+}
+
+/**
+ * Runs the checks a mint would otherwise only fail as a revert: the recipient is verified in the token's
+ * identity registry and not frozen, the token is not paused, and the compliance accepts a mint to it.
+ * @param {string} to The recipient wallet.
+ * @param {string} amount The amount as a decimal string (e.g. "12.5"), converted with the token's decimals.
+ * @param {string} [tokenIdOrAddress] The catalogue id or address of the token, defaults to the profile's token.
+ * @returns {Promise<object>} { eligible, checks: [{ check, passed, detail, remedy }] }
+ */
+async function checkMintEligibility(to, amount, tokenIdOrAddress) {
+    const token = await getToken(tokenIdOrAddress);
+    return runMintChecks(to, token, parseMintRequest(to, amount, token));
+}
 
+/**
+ * Mints tokens to an investor with the token agent signer, after the pre-flight checks pass.
+ * @param {string} to The recipient wallet.
+ * @param {string} amount The amount as a decimal string (e.g. "12.5"), converted with the token's decimals.
+ * @param {string} [tokenIdOrAddress] The catalogue id or address of the token, defaults to the profile's token.
+ * @param {function(string): void} [onSubmitted] Called with the transaction hash once the mint is broadcast,
+ *        before it is mined, so callers can record that it may go through even if waiting fails.
+ * @returns {Promise<string>} The transaction hash.
+ */
+async function mintTokens(to, amount, tokenIdOrAddress, onSubmitted) {
+    const token = await getToken(tokenIdOrAddress);
+    const value = parseMintRequest(to, amount, token);
+    const { eligible, checks } = await runMintChecks(to, token, value);
+    if (!eligible) {
+        const failed = checks.filter(check => !check.passed);
+        throw Object.assign(
+            new Error(`Mint pre-flight failed: ${failed.map(check => check.check).join(', ')}.`),
+            { statusCode: 422, checks: failed }
+        );
+    }
+    console.log(`Minting ${amount} ${token.symbol} to ${to} on ${token.address}...`);
+    const tokenContract = new ethers.Contract(token.address, IToken.abi, await getSigner('tokenAgent'));
+    const tx = await submitTransaction('tokenAgent', 'mint', tokenContract.mint.populateTransaction(to, value));
+    if (onSubmitted) {
+        onSubmitted(tx.hash);
+    }
+    const receipt = await waitForTransaction(tx);
+    console.log("Minted tokens, transaction hash:", receipt.hash);
+    return receipt.hash;
 }
 
-module.exports = { mintTokens };
\ No newline at end of file
+module.exports = { mintTokens, checkMintEligibility };
@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+const IDENTITY_ABI = require('../out/Identity.sol/Identity.json');
+const TRUSTED_ISSUERS_REGISTRY_ABI = require('../out/ITrustedIssuersRegistry.sol/ITrustedIssuersRegistry.json');
+const { getProvider } = require('./config');
+const { getIdentityForUser: getFactoryIdentity, getRequiredClaimTopics } = require('./handleKyc');
+const {
+    isUserVerified,
+    getInvestorCountry,
+    isUserInRegistry,
+    getIssuersRegistryAddress,
+    getStoredIdentity
+} = require('./readIdentity');
+const { CLAIM_TOPICS, decodeClaimData } = require('./claimCatalogue');
+
+function getCatalogueKey(topic) {
+    return Object.keys(CLAIM_TOPICS).find(name => CLAIM_TOPICS[name].topic === topic) || null;
+}
+
+/**
+ * Checks one required claim topic on an identity: every trusted issuer's claim for the topic,
+ * whether it validates on the issuer contract and, for catalogue topics, when it expires.
+ * @param {string} identityAddress The identity contract address.
+ * @param {number} topic The claim topic id.
+ * @param {ethers.Contract} issuersRegistry The trusted issuers registry.
+ * @returns {Promise<object>} { topic, key, valid, claims: [{ issuer, present, valid, expiresAt }] }
+ */
+async function getClaimTopicStatus(identityAddress, topic, issuersRegistry) {
+    const provider = getProvider();
+    const key = getCatalogueKey(topic);
+    const identityContract = new ethers.Contract(identityAddress, IDENTITY_ABI.abi, provider);
+
+    const claims = [];
+    for (const issuer of await issuersRegistry.getTrustedIssuersForClaimTopic(topic)) {
+        const claimId = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [issuer, topic]));
+        const claim = await identityContract.getClaim(claimId);
+        if (claim.issuer === ethers.ZeroAddress) {
+            claims.push({ issuer, present: false, valid: false, expiresAt: null });
+            continue;
+        }
+
+        let valid = false;
+        try {
+            const issuerContract = new ethers.Contract(issuer, IDENTITY_ABI.abi, provider);
+            valid = await issuerContract.isClaimValid(identityAddress, topic, claim.signature, claim.data);
+        } catch (error) {
+            console.error(`Error validating topic ${topic} claim from ${issuer}:`, error.shortMessage || error.message);
+        }
+
+        let expiresAt = null;
+        if (key) {
+            try {
+                expiresAt = decodeClaimData(key, claim.data).expiresAt;
+            } catch (error) {
+                // Issued before the catalogue schema; no expiry to report
+            }
+        }
+        const expired = expiresAt !== null && expiresAt * 1000 < Date.now();
+        claims.push({ issuer, present: true, valid: valid && !expired, expiresAt });
+    }
+
+    return { topic, key, valid: claims.some(claim => claim.valid), claims };
+}
+
+/**
+ * Collects the full identity status of an investor wallet in one call.
+ * @param {string} walletAddress The investor's wallet address.
+ * @returns {Promise<object>} Registry membership, verification status, stored country, the identity from the
+ *          factory and from the registry storage, and each required claim topic with its validity.
+ */
+async function getInvestorStatus(walletAddress) {
+    if (!ethers.isAddress(walletAddress)) {
+        throw Object.assign(new Error('address is not a valid address.'), { statusCode: 400 });
+    }
+
+    const [inRegistry, verified, factoryIdentity, storedIdentity, requiredTopics, issuersRegistryAddress] = await Promise.all([
+        isUserInRegistry(walletAddress),
+        isUserVerified(walletAddress),
+        getFactoryIdentity(walletAddress),
+        getStoredIdentity(walletAddress),
+        getRequiredClaimTopics(),
+        getIssuersRegistryAddress()
+    ]);
+    const country = inRegistry ? await getInvestorCountry(walletAddress) : null;
+
+    // Claims are checked on the identity the registry knows, falling back to the factory's for unregistered wallets
+    const identityAddress = storedIdentity !== ethers.ZeroAddress ? storedIdentity : factoryIdentity;
+    const issuersRegistry = new ethers.Contract(issuersRegistryAddress, TRUSTED_ISSUERS_REGISTRY_ABI.abi, getProvider());
+    const requiredClaims = [];
+    for (const topic of requiredTopics) {
+        requiredClaims.push(identityAddress !== ethers.ZeroAddress
+            ? await getClaimTopicStatus(identityAddress, topic, issuersRegistry)
+            : { topic, key: getCatalogueKey(topic), valid: false, claims: [] });
+    }
+
+    return {
+        walletAddress: ethers.getAddress(walletAddress),
+        inRegistry,
+        verified,
+        country,
+        identity: {
+            factory: factoryIdentity,
+            registryStorage: storedIdentity,
+            consistent: factoryIdentity === storedIdentity
+        },
+        requiredClaims
+    };
+}
+
+module.exports = {
+    getInvestorStatus
+};
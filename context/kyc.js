@@ -0,0 +1,210 @@
+const { ethers } = require('ethers');
+const { createHmac, timingSafeEqual } = require('crypto');
+const { generateClaimSignature, getIdentityForUser } = require('./handleKyc');
+const { getRecoveredIdentity } = require('./walletRecovery');
+const { getClaimTopic, buildClaimData } = require('./claimCatalogue');
+const { createStore } = require('./store');
+
+const KYC_RESULTS = ['approved', 'rejected', 'needs_review'];
+// Webhook calls older than this are rejected, so a captured call can't be replayed later
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Latest verification result per wallet, keyed by the lowercased address
+const verificationStore = createStore('kycVerifications');
+// Claims issued on the strength of a verification, keyed by "<identity>:<topic>"
+const issuedClaimStore = createStore('issuedClaims');
+
+/**
+ * Computes the webhook signature: hex HMAC-SHA256 of "<timestamp>.<raw body>" with KYC_WEBHOOK_SECRET.
+ * @param {string} timestamp The X-KYC-Timestamp header (unix seconds).
+ * @param {Buffer|string} rawBody The raw request body.
+ * @returns {string} The hex signature.
+ */
+function signWebhookPayload(timestamp, rawBody) {
+    if (!process.env.KYC_WEBHOOK_SECRET) {
+        throw new Error("Missing required environment variable (KYC_WEBHOOK_SECRET).");
+    }
+    return createHmac('sha256', process.env.KYC_WEBHOOK_SECRET)
+        .update(`${timestamp}.`)
+        .update(rawBody)
+        .digest('hex');
+}
+
+/**
+ * Checks the X-KYC-Signature and X-KYC-Timestamp headers of a webhook call.
+ * @param {string} signature The X-KYC-Signature header ("sha256=<hex>").
+ * @param {string} timestamp The X-KYC-Timestamp header (unix seconds).
+ * @param {Buffer} rawBody The raw request body.
+ * @returns {boolean} True if the call is authentic and recent.
+ */
+function verifyWebhookSignature(signature, timestamp, rawBody) {
+    if (!signature || !timestamp || !rawBody) {
+        return false;
+    }
+    if (Math.abs(Date.now() - Number(timestamp) * 1000) > WEBHOOK_TOLERANCE_MS) {
+        return false;
+    }
+    const expected = Buffer.from(`sha256=${signWebhookPayload(timestamp, rawBody)}`);
+    const received = Buffer.from(signature);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Records a verification result reported by the KYC vendor.
+ * Re-delivered events (same eventId) are ignored.
+ * @param {object} payload { eventId, walletAddress, result, reference, vendor, reviewedAt,
+ *        topics (claim catalogue keys the vendor verified, default ["KYC"]), level, country, attributes }
+ * @returns {object} The stored verification record.
+ */
+function recordVerificationResult(payload) {
+    const { eventId, walletAddress, result, reference, vendor, reviewedAt } = payload;
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+        throw new Error('walletAddress must be a valid address.');
+    }
+    if (!KYC_RESULTS.includes(result)) {
+        throw new Error(`result must be one of: ${KYC_RESULTS.join(', ')}.`);
+    }
+    if (!reference) {
+        throw new Error('reference (the vendor applicant reference) is required.');
+    }
+    if (payload.topics !== undefined && !Array.isArray(payload.topics)) {
+        throw new Error('topics must be an array of claim topic names.');
+    }
+    const topics = (payload.topics || ['KYC']).map(topic => getClaimTopic(topic).key);
+
+    const key = walletAddress.toLowerCase();
+    const existing = verificationStore.get(key);
+    if (eventId && existing && existing.history.some(entry => entry.eventId === eventId)) {
+        console.log(`[kyc] Event ${eventId} already processed. Skipping.`);
+        return existing;
+    }
+
+    const entry = {
+        eventId: eventId || null,
+        result,
+        reference,
+        vendor: vendor || null,
+        reviewedAt: reviewedAt || null,
+        receivedAt: new Date().toISOString()
+    };
+    const record = {
+        walletAddress: ethers.getAddress(walletAddress),
+        status: result,
+        reference,
+        vendor: entry.vendor,
+        topics,
+        level: payload.level !== undefined ? payload.level : null,
+        country: payload.country !== undefined ? payload.country : null,
+        attributes: payload.attributes || {},
+        updatedAt: entry.receivedAt,
+        history: [...(existing ? existing.history : []), entry]
+    };
+    console.log(`[kyc] ${record.walletAddress}: ${result} (reference ${reference}).`);
+    return verificationStore.set(key, record);
+}
+
+/**
+ * Returns the stored verification record for a wallet.
+ * @param {string} walletAddress The investor's wallet address.
+ * @returns {object|undefined} The verification record.
+ */
+function getVerification(walletAddress) {
+    return verificationStore.get(walletAddress.toLowerCase());
+}
+
+/**
+ * Issues a claim signature for a wallet with an approved verification covering the topic,
+ * for the identity the IdFactory links to that wallet only.
+ * The claim data is built from the verification on record (catalogue schema), and the salt,
+ * field values and vendor reference are recorded alongside the issued claim.
+ * @param {string} userAddress The investor's wallet address.
+ * @param {string} identityAddress The investor's identity contract address.
+ * @param {string|number} [topicKeyOrId] The catalogue topic name or id (defaults to KYC).
+ * @returns {Promise<object>} The signed claim, as returned by generateClaimSignature.
+ */
+async function issueVerifiedClaim(userAddress, identityAddress, topicKeyOrId = 'KYC') {
+    const entry = getClaimTopic(topicKeyOrId);
+    const verification = getVerification(userAddress);
+    if (!verification || verification.status !== 'approved') {
+        const status = verification ? verification.status : 'none';
+        throw Object.assign(
+            new Error(`No approved KYC verification on record for ${userAddress} (status: ${status}).`),
+            { statusCode: 403 }
+        );
+    }
+    if (!(verification.topics || ['KYC']).includes(entry.key)) {
+        throw Object.assign(
+            new Error(`The verification on record for ${userAddress} does not cover the ${entry.key} topic.`),
+            { statusCode: 403 }
+        );
+    }
+
+    // The issuer signs for the identity, so it has to be the one the factory links to this wallet (or, for a
+    // wallet recovered without a factory link, the registry's); otherwise a verified wallet could obtain claims
+    // for someone else's ONCHAINID
+    if (!identityAddress || !ethers.isAddress(identityAddress)) {
+        throw Object.assign(new Error('identityAddress must be a valid address.'), { statusCode: 400 });
+    }
+    let linkedIdentity = await getIdentityForUser(userAddress);
+    if (linkedIdentity === ethers.ZeroAddress) {
+        linkedIdentity = (await getRecoveredIdentity(userAddress)) || ethers.ZeroAddress;
+    }
+    if (linkedIdentity === ethers.ZeroAddress || linkedIdentity !== ethers.getAddress(identityAddress)) {
+        throw Object.assign(
+            new Error(`Identity ${identityAddress} is not the identity linked to ${userAddress}.`),
+            { statusCode: 403 }
+        );
+    }
+
+    const { data, fields, salt } = buildClaimData(entry.key, {
+        attributes: verification.attributes,
+        level: verification.level,
+        country: verification.country
+    });
+    const claim = await generateClaimSignature(userAddress, identityAddress, entry.topic, data);
+    issuedClaimStore.set(`${identityAddress.toLowerCase()}:${claim.topic}`, {
+        userAddress: ethers.getAddress(userAddress),
+        identityAddress: ethers.getAddress(identityAddress),
+        topic: claim.topic,
+        topicKey: entry.key,
+        issuer: claim.issuer,
+        signature: claim.signature,
+        data: claim.data,
+        fields,
+        salt,
+        vendorReference: verification.reference,
+        vendor: verification.vendor,
+        issuedAt: new Date().toISOString()
+    });
+    return { ...claim, fields };
+}
+
+/**
+ * Finds a claim this server issued, by identity and topic.
+ * @param {string} identityAddress The identity contract address.
+ * @param {number} topic The claim topic id.
+ * @returns {object|undefined} The issued claim record.
+ */
+function getIssuedClaim(identityAddress, topic) {
+    return issuedClaimStore.get(`${identityAddress.toLowerCase()}:${topic}`);
+}
+
+/**
+ * Finds a claim this server issued, by its signature.
+ * @param {string} signature The hex claim signature.
+ * @returns {object|undefined} The issued claim record.
+ */
+function findIssuedClaimBySignature(signature) {
+    return issuedClaimStore.all().find(claim => claim.signature.toLowerCase() === signature.toLowerCase());
+}
+
+module.exports = {
+    KYC_RESULTS,
+    signWebhookPayload,
+    verifyWebhookSignature,
+    recordVerificationResult,
+    getVerification,
+    issueVerifiedClaim,
+    getIssuedClaim,
+    findIssuedClaimBySignature
+};
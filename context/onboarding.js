@@ -0,0 +1,187 @@
+const { ethers } = require('ethers');
+const { randomBytes } = require('crypto');
+const {
+    deployIdentityContract,
+    configureAndTransferIdentity,
+    addClaimAsManager,
+    addToIdentityRegistry,
+    isRegisteredInIdentityRegistry,
+    getIdentityForUser
+} = require('./handleKyc');
+const { issueVerifiedClaim } = require('./kyc');
+const { createStore } = require('./store');
+
+// One persisted record per investor wallet, keyed by the lowercased address
+const onboardingStore = createStore('onboarding');
+
+// Workflows currently executing in this process, so concurrent calls share one run
+const runningWorkflows = new Map();
+
+/**
+ * Ordered onboarding steps. Each step checks the chain before acting,
+ * so re-running a step that already went through on-chain is a no-op.
+ */
+const STEPS = [
+    {
+        name: 'deployIdentity',
+        async run(workflow) {
+            // A crash between the factory transaction and saving its result leaves the
+            // identity linked to the wallet, so look it up before deploying a new one.
+            const existingIdentity = await getIdentityForUser(workflow.userAddress);
+            if (existingIdentity !== ethers.ZeroAddress) {
+                console.log(`Reusing identity ${existingIdentity} already linked to ${workflow.userAddress}.`);
+                workflow.identityAddress = existingIdentity;
+                return;
+            }
+            workflow.identityAddress = await deployIdentityContract(workflow.userAddress, workflow.salt);
+        }
+    },
+    {
+        name: 'configureKeys',
+        async run(workflow) {
+            await configureAndTransferIdentity(workflow.identityAddress, workflow.userAddress);
+        }
+    },
+    {
+        name: 'issueClaim',
+        async run(workflow) {
+            // Fails until the KYC vendor has reported an approved verification for the wallet
+            const claimDetails = await issueVerifiedClaim(workflow.userAddress, workflow.identityAddress, 'KYC');
+            const txHash = await addClaimAsManager(workflow.identityAddress, claimDetails);
+            return { topic: claimDetails.topic, issuer: claimDetails.issuer, transactionHash: txHash };
+        }
+    },
+    {
+        name: 'registerIdentity',
+        async run(workflow) {
+            if (await isRegisteredInIdentityRegistry(workflow.userAddress)) {
+                console.log(`${workflow.userAddress} is already in the identity registry. Skipping.`);
+                return;
+            }
+            await addToIdentityRegistry(workflow.userAddress, workflow.identityAddress, workflow.countryCode);
+        }
+    }
+];
+
+function saveWorkflow(workflow) {
+    workflow.updatedAt = new Date().toISOString();
+    return onboardingStore.set(workflow.userAddress.toLowerCase(), workflow);
+}
+
+function newWorkflow(userAddress, countryCode) {
+    const now = new Date().toISOString();
+    const steps = {};
+    for (const step of STEPS) {
+        steps[step.name] = { status: 'pending' };
+    }
+    return {
+        userAddress: ethers.getAddress(userAddress),
+        countryCode,
+        // Fixed up front so a retried deployment reuses the same salt
+        salt: userAddress.slice(0, 3) + randomBytes(4).toString('hex'),
+        identityAddress: null,
+        status: 'in_progress',
+        currentStep: STEPS[0].name,
+        steps,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Runs the remaining steps of a workflow, persisting after every step.
+ * @param {object} workflow The stored workflow record.
+ * @returns {Promise<object>} The workflow record once it completes.
+ */
+async function runWorkflow(workflow) {
+    workflow.status = 'in_progress';
+    workflow.error = null;
+    saveWorkflow(workflow);
+
+    for (const step of STEPS) {
+        if (workflow.steps[step.name].status === 'completed') {
+            continue;
+        }
+        workflow.currentStep = step.name;
+        saveWorkflow(workflow);
+        console.log(`[onboard] ${workflow.userAddress}: running step ${step.name}...`);
+
+        try {
+            const result = await step.run(workflow);
+            workflow.steps[step.name] = {
+                status: 'completed',
+                completedAt: new Date().toISOString(),
+                ...(result ? { result } : {})
+            };
+            saveWorkflow(workflow);
+        } catch (error) {
+            console.error(`[onboard] ${workflow.userAddress}: step ${step.name} failed:`, error);
+            workflow.status = 'failed';
+            workflow.steps[step.name] = { status: 'failed', failedAt: new Date().toISOString() };
+            workflow.error = { step: step.name, message: error.message };
+            saveWorkflow(workflow);
+            throw Object.assign(error, { workflow });
+        }
+    }
+
+    workflow.status = 'completed';
+    workflow.currentStep = null;
+    saveWorkflow(workflow);
+    console.log(`✅ [onboard] ${workflow.userAddress} onboarded with identity ${workflow.identityAddress}.`);
+    return workflow;
+}
+
+/**
+ * Starts or resumes the onboarding workflow for an investor wallet.
+ * A completed workflow is returned as is; a failed or interrupted one resumes at its first unfinished step.
+ * @param {string} userAddress The investor's wallet address.
+ * @param {number} countryCode The ISO 3166-1 numeric country code to register (used for new workflows only).
+ * @returns {Promise<object>} The completed workflow record.
+ */
+async function onboardInvestor(userAddress, countryCode) {
+    const key = userAddress.toLowerCase();
+    if (runningWorkflows.has(key)) {
+        return runningWorkflows.get(key);
+    }
+
+    const workflow = onboardingStore.get(key) || saveWorkflow(newWorkflow(userAddress, countryCode));
+    if (workflow.status === 'completed') {
+        return workflow;
+    }
+
+    const run = runWorkflow(workflow).finally(() => runningWorkflows.delete(key));
+    runningWorkflows.set(key, run);
+    return run;
+}
+
+/**
+ * Returns the stored onboarding workflow for a wallet, if any.
+ * @param {string} userAddress The investor's wallet address.
+ * @returns {object|undefined} The workflow record.
+ */
+function getOnboardingStatus(userAddress) {
+    return onboardingStore.get(userAddress.toLowerCase());
+}
+
+/**
+ * Resumes every workflow that was still in progress when the server last stopped.
+ * Failed workflows are left for the client to retry through POST /onboard.
+ */
+async function resumePendingOnboardings() {
+    const pending = onboardingStore.all().filter(workflow => workflow.status === 'in_progress');
+    for (const workflow of pending) {
+        console.log(`[onboard] Resuming interrupted onboarding for ${workflow.userAddress} at step ${workflow.currentStep}...`);
+        try {
+            await onboardInvestor(workflow.userAddress);
+        } catch (error) {
+            // Already recorded on the workflow
+        }
+    }
+}
+
+module.exports = {
+    onboardInvestor,
+    getOnboardingStatus,
+    resumePendingOnboardings
+};
@@ -1,24 +1,17 @@
 
 const { ethers } = require('ethers');
 
-const IdentityRegistryABI = require('../../../abi/registry/IdentityRegistry.sol/IdentityRegistry.json');
+const IdentityRegistryABI = require('../abi/registry/IdentityRegistry.sol/IdentityRegistry.json');
+const IdentityRegistryStorageABI = require('../abi/registry/IdentityRegistryStorage.sol/IdentityRegistryStorage.json');
 const dotenv = require('dotenv');
 dotenv.config(); 
 
 // --- Configuration ---
-const RPC_URL = process.env.RPC_URL;
-const IDENTITY_REGISTRY_ADDRESS = '0x7Eb85534067f0E123c85e60aBD8AF00EF642c361';
-
-console.log(`Using RPC URL: ${RPC_URL}`);
-
-if (!RPC_URL) {
-  throw new Error("Missing required environment variable: RPC_URL.");
-}
+const { getProvider, getContractAddress } = require('./config');
 
 // --- Helper Function to create a read-only contract instance ---
 function getIdentityRegistryContract() {
-  const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
-  return new ethers.Contract(IDENTITY_REGISTRY_ADDRESS, IdentityRegistryABI.abi, provider);
+  return new ethers.Contract(getContractAddress('identityRegistry'), IdentityRegistryABI.abi, getProvider());
 }
 
 /**
@@ -48,7 +41,7 @@ async function getInvestorCountry(userAddress) {
   console.log(`Fetching country for user: ${userAddress}`);
   try {
     const contract = getIdentityRegistryContract();
-    const countryCode = await contract.investorCountry(userAddress);
+    const countryCode = Number(await contract.investorCountry(userAddress));
     console.log(`✅ Country for ${userAddress}: ${countryCode}`);
     return countryCode;
   } catch (error) {
@@ -144,6 +137,24 @@ async function getIdentityStorageAddress() {
   }
 }
 
+/**
+ * Fetches the Identity contract address stored for a user directly from the IdentityRegistryStorage.
+ * @param {string} userAddress The address of the user to check.
+ * @returns {Promise<string>} A promise that resolves to the stored identity address (zero address if none).
+ */
+async function getStoredIdentity(userAddress) {
+  console.log(`Fetching stored identity for user: ${userAddress}`);
+  try {
+    const storage = new ethers.Contract(await getIdentityStorageAddress(), IdentityRegistryStorageABI.abi, getProvider());
+    const identityAddress = await storage.storedIdentity(userAddress);
+    console.log(`✅ Stored identity for ${userAddress}: ${identityAddress}`);
+    return identityAddress;
+  } catch (error) {
+    console.error(`🔴 [ERROR] Failed to get stored identity for ${userAddress}:`, error);
+    throw error;
+  }
+}
+
 module.exports = {
   isUserVerified,
   getInvestorCountry,
@@ -152,4 +163,5 @@ module.exports = {
   getIssuersRegistryAddress,
   getTopicsRegistryAddress,
   getIdentityStorageAddress,
+  getStoredIdentity,
 };
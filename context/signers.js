@@ -0,0 +1,195 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const CLAIM_ISSUER_ABI = require('../out/IClaimIssuer.sol/IClaimIssuer.json');
+const { getProvider, getNetwork, getContractAddress } = require('./config');
+
+/**
+ * Signer roles and the env prefix each one is configured with:
+ *   deployer       - deploys identities through the ID factory and manages them (MANAGEMENT key on new identities)
+ *   registryAgent  - agent on the identity registry (register, update and delete identities)
+ *   tokenAgent     - agent on the token (mint, burn, freeze, pause, ...)
+ *   claimIssuer    - signs claims; must be a CLAIM key on the ClaimIssuer contract
+ *
+ * Each role is loaded from, in order of precedence:
+ *   <PREFIX>_SIGNER_URL (+ <PREFIX>_SIGNER_TOKEN)          a remote signing endpoint (see scripts/remoteSigner.js)
+ *   <PREFIX>_KEYSTORE (+ <PREFIX>_KEYSTORE_PASSWORD)     an encrypted JSON keystore (see scripts/keystore.js)
+ *   ADMIN_PRIVATE_KEY                                    the legacy shared key, for local development only
+ */
+const SIGNER_ROLES = {
+    deployer: 'DEPLOYER',
+    registryAgent: 'REGISTRY_AGENT',
+    tokenAgent: 'TOKEN_AGENT',
+    claimIssuer: 'CLAIM_ISSUER'
+};
+
+const KEY_PURPOSE_CLAIM = 3;
+
+// One loading promise per role; keystore decryption is slow, so it only happens once
+const signers = new Map();
+const signerSources = new Map();
+
+async function callRemoteSigner(url, token, path, body) {
+    const response = await fetch(`${url.replace(/\/$/, '')}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`Remote signer ${path} failed (${response.status}): ${result.error || response.statusText}`);
+    }
+    return result;
+}
+
+/**
+ * A signer whose key lives in a remote signing service.
+ * The service exposes GET /address, POST /sign-transaction { transaction } and POST /sign-message { message },
+ * where transaction is an unsigned serialized transaction and message the hex bytes to sign (EIP-191).
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+    constructor(url, token, provider) {
+        super(provider);
+        this.url = url;
+        this.token = token;
+        this.address = null;
+    }
+
+    connect(provider) {
+        const signer = new RemoteSigner(this.url, this.token, provider);
+        signer.address = this.address;
+        return signer;
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            const { address } = await callRemoteSigner(this.url, this.token, '/address');
+            this.address = ethers.getAddress(address);
+        }
+        return this.address;
+    }
+
+    async signTransaction(tx) {
+        const request = ethers.copyRequest(tx);
+        if (request.to) {
+            request.to = await ethers.resolveAddress(request.to, this.provider);
+        }
+        if (request.from) {
+            if (ethers.getAddress(await ethers.resolveAddress(request.from, this.provider)) !== await this.getAddress()) {
+                throw new Error('Transaction from address does not match the remote signer.');
+            }
+            delete request.from;
+        }
+        const unsigned = ethers.Transaction.from(request);
+        const { signedTransaction } = await callRemoteSigner(this.url, this.token, '/sign-transaction', {
+            transaction: unsigned.unsignedSerialized
+        });
+        return signedTransaction;
+    }
+
+    async signMessage(message) {
+        const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        const { signature } = await callRemoteSigner(this.url, this.token, '/sign-message', {
+            message: ethers.hexlify(bytes)
+        });
+        return signature;
+    }
+
+    async signTypedData() {
+        throw new Error('The remote signer does not support typed data.');
+    }
+}
+
+async function loadSigner(role) {
+    const prefix = SIGNER_ROLES[role];
+    if (!prefix) {
+        throw new Error(`Unknown signer role "${role}". Roles: ${Object.keys(SIGNER_ROLES).join(', ')}.`);
+    }
+    const provider = getProvider();
+
+    const remoteUrl = process.env[`${prefix}_SIGNER_URL`];
+    if (remoteUrl) {
+        signerSources.set(role, `remote ${remoteUrl}`);
+        const signer = new RemoteSigner(remoteUrl, process.env[`${prefix}_SIGNER_TOKEN`], provider);
+        await signer.getAddress();
+        return signer;
+    }
+
+    const keystorePath = process.env[`${prefix}_KEYSTORE`];
+    if (keystorePath) {
+        const password = process.env[`${prefix}_KEYSTORE_PASSWORD`];
+        if (password === undefined) {
+            throw new Error(`Missing required environment variable (${prefix}_KEYSTORE_PASSWORD).`);
+        }
+        signerSources.set(role, `keystore ${keystorePath}`);
+        const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystorePath, 'utf8'), password);
+        return wallet.connect(provider);
+    }
+
+    if (process.env.ADMIN_PRIVATE_KEY) {
+        console.warn(`⚠️  No ${prefix}_KEYSTORE or ${prefix}_SIGNER_URL set; the ${role} role falls back to ADMIN_PRIVATE_KEY.`);
+        signerSources.set(role, 'ADMIN_PRIVATE_KEY');
+        return new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
+    }
+    throw new Error(`No signer configured for the ${role} role (set ${prefix}_KEYSTORE or ${prefix}_SIGNER_URL).`);
+}
+
+/**
+ * Returns the signer for a role, loading it on first use.
+ * @param {string} role One of the SIGNER_ROLES keys (e.g. "tokenAgent").
+ * @returns {Promise<ethers.Signer>} The signer connected to the active network.
+ */
+function getSigner(role) {
+    if (!signers.has(role)) {
+        const loading = loadSigner(role);
+        // Let a failed load (e.g. a wrong password) be retried on the next call
+        loading.catch(() => signers.delete(role));
+        signers.set(role, loading);
+    }
+    return signers.get(role);
+}
+
+/**
+ * Loads every role's signer and lists where each one comes from.
+ * @returns {Promise<object[]>} [{ role, address, source }]
+ */
+async function describeSigners() {
+    const descriptions = [];
+    for (const role of Object.keys(SIGNER_ROLES)) {
+        const signer = await getSigner(role);
+        descriptions.push({ role, address: await signer.getAddress(), source: signerSources.get(role) });
+    }
+    return descriptions;
+}
+
+/**
+ * Checks that the claim signer holds a CLAIM key on the ClaimIssuer contract, so the claims it
+ * signs validate against the issuer named in them. Skipped when the profile has no ClaimIssuer.
+ * @returns {Promise<string|null>} The claim signer address, or null if the check was skipped.
+ */
+async function checkClaimSigner() {
+    if (!getNetwork().contracts.claimIssuer) {
+        console.warn('⚠️  No claimIssuer configured for this network; skipping the claim signer check.');
+        return null;
+    }
+    const issuerAddress = getContractAddress('claimIssuer');
+    const signerAddress = await (await getSigner('claimIssuer')).getAddress();
+    const signerKey = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address'], [signerAddress]));
+
+    const claimIssuer = new ethers.Contract(issuerAddress, CLAIM_ISSUER_ABI.abi, getProvider());
+    if (!await claimIssuer.keyHasPurpose(signerKey, KEY_PURPOSE_CLAIM)) {
+        throw new Error(`Claim signer ${signerAddress} is not a CLAIM key on the ClaimIssuer contract ${issuerAddress}.`);
+    }
+    console.log(`✅ Claim signer ${signerAddress} is a CLAIM key on ClaimIssuer ${issuerAddress}.`);
+    return signerAddress;
+}
+
+module.exports = {
+    SIGNER_ROLES,
+    RemoteSigner,
+    getSigner,
+    describeSigners,
+    checkClaimSigner
+};
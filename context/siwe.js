@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+const { randomBytes, createHash } = require('crypto');
+const { SiweMessage, generateNonce } = require('siwe');
+const { getNetwork } = require('./config');
+const { createStore } = require('./store');
+
+// How long an issued nonce may be used to sign in
+const NONCE_TTL_MS = 5 * 60 * 1000;
+// How long a session token stays valid (SIWE_SESSION_TTL_SECONDS, default 12 hours)
+const SESSION_TTL_MS = Number(process.env.SIWE_SESSION_TTL_SECONDS || 12 * 60 * 60) * 1000;
+
+// Outstanding nonces (nonce -> expiry). Single use, so they are only kept in memory.
+const issuedNonces = new Map();
+// Sessions keyed by the SHA-256 of their token, so the data file alone can't be replayed
+const sessionStore = createStore('sessions');
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issues a single-use nonce for an EIP-4361 (Sign-In With Ethereum) message.
+ * @returns {{ nonce: string, expiresAt: string }} The nonce and its expiry.
+ */
+function createSignInNonce() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of issuedNonces) {
+        if (expiresAt < now) {
+            issuedNonces.delete(nonce);
+        }
+    }
+
+    const nonce = generateNonce();
+    const expiresAt = now + NONCE_TTL_MS;
+    issuedNonces.set(nonce, expiresAt);
+    return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Verifies a signed SIWE message and opens a session for its wallet.
+ * The message must carry a nonce issued by createSignInNonce, the expected domain and the active chain id.
+ * @param {string} message The EIP-4361 message that was signed.
+ * @param {string} signature The wallet's signature over the message.
+ * @param {string} domain The domain the message must be bound to.
+ * @returns {Promise<{ token: string, address: string, expiresAt: string }>} The session.
+ */
+async function verifySignIn(message, signature, domain) {
+    const siweMessage = new SiweMessage(message);
+
+    const nonceExpiry = issuedNonces.get(siweMessage.nonce);
+    if (!nonceExpiry || nonceExpiry < Date.now()) {
+        throw new Error('Unknown or expired nonce.');
+    }
+    // Single use, whether or not the verification below succeeds
+    issuedNonces.delete(siweMessage.nonce);
+
+    if (Number(siweMessage.chainId) !== getNetwork().chainId) {
+        throw new Error(`Message is for chain ${siweMessage.chainId}, expected ${getNetwork().chainId}.`);
+    }
+
+    const { success, error } = await siweMessage.verify(
+        { signature, domain, nonce: siweMessage.nonce },
+        { suppressExceptions: true }
+    );
+    if (!success) {
+        throw new Error(`Invalid sign-in message: ${error ? error.type : 'verification failed'}.`);
+    }
+
+    const token = randomBytes(32).toString('hex');
+    const address = ethers.getAddress(siweMessage.address);
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    sessionStore.set(hashToken(token), {
+        address,
+        chainId: Number(siweMessage.chainId),
+        issuedAt: new Date().toISOString(),
+        expiresAt
+    });
+    console.log(`[siwe] Session opened for ${address}.`);
+    return { token, address, expiresAt };
+}
+
+/**
+ * Looks up a live session by its bearer token.
+ * @param {string} token The session token.
+ * @returns {object|null} The session ({ address, chainId, issuedAt, expiresAt }) or null.
+ */
+function getSession(token) {
+    const key = hashToken(token);
+    const session = sessionStore.get(key);
+    if (!session) {
+        return null;
+    }
+    if (new Date(session.expiresAt).getTime() < Date.now()) {
+        sessionStore.remove(key);
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Ends a session.
+ * @param {string} token The session token.
+ */
+function endSession(token) {
+    sessionStore.remove(hashToken(token));
+}
+
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware: requires a SIWE session whose wallet matches the request's `userAddress`.
+ * Responds 401 without a valid session, 400 without a valid userAddress
+ * and 403 when the session belongs to another wallet.
+ */
+function requireWalletSession(req, res, next) {
+    const token = getBearerToken(req);
+    const session = token && getSession(token);
+    if (!session) {
+        return res.status(401).json({ error: 'A valid sign-in session is required (Authorization: Bearer <token>).' });
+    }
+
+    const userAddress = (req.body && req.body.userAddress) || req.params.userAddress;
+    if (!userAddress || !ethers.isAddress(userAddress)) {
+        return res.status(400).json({ error: 'A valid userAddress is required.' });
+    }
+    if (ethers.getAddress(userAddress) !== session.address) {
+        return res.status(403).json({ error: 'The signed-in wallet does not match userAddress.' });
+    }
+
+    req.session = session;
+    next();
+}
+
+module.exports = {
+    createSignInNonce,
+    verifySignIn,
+    getSession,
+    endSession,
+    getBearerToken,
+    requireWalletSession
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local state lives in JSON files under DATA_DIR (git-ignored)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Creates a small persistent key/value store backed by a JSON file.
+ * Every write is flushed to disk straight away (write to a temp file, then rename),
+ * so the state survives a crash of the server process.
+ * @param {string} name The store name, used as the file name (e.g. "onboarding" -> data/onboarding.json).
+ * @returns {object} The store with get, set, remove, keys and all.
+ */
+function createStore(name) {
+    const filePath = path.join(DATA_DIR, `${name}.json`);
+    let records = null;
+    let loadedMtimeMs = null;
+
+    // Reloads when the file was changed by another process (e.g. a CLI script)
+    function load() {
+        const mtimeMs = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+        if (records === null || mtimeMs !== loadedMtimeMs) {
+            records = mtimeMs !== null ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+            loadedMtimeMs = mtimeMs;
+        }
+        return records;
+    }
+
+    function flush() {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tmpPath, filePath);
+        loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+    }
+
+    return {
+        get(key) {
+            return load()[key];
+        },
+        set(key, value) {
+            load()[key] = value;
+            flush();
+            return value;
+        },
+        remove(key) {
+            delete load()[key];
+            flush();
+        },
+        keys() {
+            return Object.keys(load());
+        },
+        all() {
+            return Object.values(load());
+        }
+    };
+}
+
+module.exports = { DATA_DIR, createStore };
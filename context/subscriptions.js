@@ -0,0 +1,396 @@
+const { ethers } = require('ethers');
+const { randomBytes } = require('crypto');
+const ERC20_ABI = require('../out/IERC20.sol/IERC20.json');
+const { getNetwork, getProvider, getContractAddress } = require('./config');
+const { mintTokens, checkMintEligibility } = require('./invest');
+const { createStore } = require('./store');
+const { getToken, parseTokenAmount, formatTokenAmount } = require('./tokenCatalogue');
+
+/**
+ * Subscription settings come from the active network profile's "subscriptions" block (config/networks.json),
+ * with the stablecoin under "contracts":
+ *   treasury             the address investors pay the stablecoin to
+ *   confirmations        how many confirmations a payment needs before the order is minted
+ *   pollIntervalSeconds  how often the stablecoin's Transfer events are scanned
+ *   startBlock           the block the first scan starts at (defaults to the latest block at first start)
+ */
+const DEFAULT_SUBSCRIPTION_CONFIG = {
+    confirmations: 12,
+    pollIntervalSeconds: 15,
+    startBlock: null
+};
+
+// Blocks per eth_getLogs call, to stay under public RPC range limits
+const LOG_SCAN_RANGE = 2000;
+
+// Order lifecycle: awaiting_payment -> paid -> minted, or awaiting_payment -> cancelled
+const orderStore = createStore('subscriptionOrders');
+// Every stablecoin payment seen to the treasury, keyed by "<transactionHash>:<logIndex>"
+const paymentStore = createStore('subscriptionPayments');
+// Scanner state: { lastScannedBlock }
+const watcherStore = createStore('subscriptionWatcher');
+
+let watcherTimer = null;
+let processing = null;
+// Stablecoin decimals by address, read once
+const stablecoinDecimals = new Map();
+
+/**
+ * Returns the subscription settings of the active network, with defaults filled in.
+ * @returns {object} The subscription configuration.
+ */
+function getSubscriptionConfig() {
+    return { ...DEFAULT_SUBSCRIPTION_CONFIG, ...(getNetwork().subscriptions || {}) };
+}
+
+function getPaymentSetup() {
+    const { treasury, confirmations } = getSubscriptionConfig();
+    if (!treasury || !ethers.isAddress(treasury)) {
+        throw Object.assign(new Error('subscriptions.treasury is not configured for this network.'), { statusCode: 503 });
+    }
+    return { stablecoin: getContractAddress('stablecoin'), treasury: ethers.getAddress(treasury), confirmations };
+}
+
+async function getStablecoin(address) {
+    if (!stablecoinDecimals.has(address)) {
+        const erc20 = new ethers.Contract(address, ['function decimals() view returns (uint8)'], getProvider());
+        stablecoinDecimals.set(address, Number(await erc20.decimals()));
+    }
+    return { address, decimals: stablecoinDecimals.get(address) };
+}
+
+function saveOrder(order) {
+    order.updatedAt = new Date().toISOString();
+    return orderStore.set(order.orderId, order);
+}
+
+function getOrderOrThrow(orderId) {
+    const order = orderStore.get(orderId);
+    if (!order) {
+        throw Object.assign(new Error(`Subscription order ${orderId} not found.`), { statusCode: 404 });
+    }
+    return order;
+}
+
+/**
+ * Creates a subscription order awaiting the investor's stablecoin payment. The mint pre-flight checks run
+ * up front, so an order is only opened for an investor who could receive the tokens.
+ * @param {object} request { investorAddress, tokenAmount, paymentAmount, token (catalogue id or address, optional) }
+ *        Both amounts are decimal strings, converted with the RWA token's and the stablecoin's decimals.
+ * @param {string} createdBy Who created the order (e.g. the API key name).
+ * @returns {Promise<object>} The order, with the payment instructions.
+ */
+async function createSubscriptionOrder(request, createdBy) {
+    const { investorAddress } = request;
+    if (!investorAddress || !ethers.isAddress(investorAddress)) {
+        throw Object.assign(new Error('investorAddress must be a valid address.'), { statusCode: 400 });
+    }
+    const token = await getToken(request.token || request.tokenAddress);
+    const tokenAmount = formatTokenAmount(token, parseTokenAmount(token, request.tokenAmount, 'tokenAmount'));
+    const { stablecoin, treasury } = getPaymentSetup();
+    const paymentCoin = await getStablecoin(stablecoin);
+    const paymentUnits = parseTokenAmount(paymentCoin, request.paymentAmount, 'paymentAmount');
+
+    const { eligible, checks } = await checkMintEligibility(investorAddress, tokenAmount, token.address);
+    if (!eligible) {
+        const failed = checks.filter(check => !check.passed);
+        throw Object.assign(
+            new Error(`The investor cannot receive the tokens: ${failed.map(check => check.check).join(', ')}.`),
+            { statusCode: 422, checks: failed }
+        );
+    }
+
+    const now = new Date().toISOString();
+    const order = saveOrder({
+        orderId: randomBytes(8).toString('hex'),
+        investorAddress: ethers.getAddress(investorAddress),
+        tokenId: token.id,
+        tokenAddress: token.address,
+        tokenAmount,
+        stablecoin,
+        treasury,
+        paymentAmount: formatTokenAmount(paymentCoin, paymentUnits),
+        // Matched exactly against the Transfer value
+        paymentUnits: paymentUnits.toString(),
+        status: 'awaiting_payment',
+        createdBy,
+        payment: null,
+        mint: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    });
+    console.log(`[subscriptions] Order ${order.orderId}: ${investorAddress} pays ${order.paymentAmount} for ${tokenAmount} ${token.symbol}.`);
+    return order;
+}
+
+/**
+ * Cancels an order that has not been paid yet.
+ * @param {string} orderId The order id.
+ * @param {string} cancelledBy Who cancelled it.
+ * @returns {object} The cancelled order.
+ */
+function cancelSubscriptionOrder(orderId, cancelledBy) {
+    const order = getOrderOrThrow(orderId);
+    if (order.status !== 'awaiting_payment') {
+        throw Object.assign(new Error(`Order ${orderId} is ${order.status} and can no longer be cancelled.`), { statusCode: 409 });
+    }
+    order.status = 'cancelled';
+    order.cancelledBy = cancelledBy;
+    order.cancelledAt = new Date().toISOString();
+    console.log(`[subscriptions] Order ${orderId} cancelled by ${cancelledBy}.`);
+    return saveOrder(order);
+}
+
+/**
+ * Returns an order.
+ * @param {string} orderId The order id.
+ * @returns {object} The order.
+ */
+function getSubscriptionOrder(orderId) {
+    return getOrderOrThrow(orderId);
+}
+
+/**
+ * Lists orders, newest first.
+ * @param {object} [filter] { status, investorAddress }
+ * @returns {object[]} The orders.
+ */
+function listSubscriptionOrders(filter = {}) {
+    return orderStore.all()
+        .filter(order => !filter.status || order.status === filter.status)
+        .filter(order => !filter.investorAddress || order.investorAddress.toLowerCase() === filter.investorAddress.toLowerCase())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Lists the stablecoin payments seen to the treasury.
+ * @param {object} [filter] { status: "matched" | "unmatched" }
+ * @returns {object[]} The payments, newest block first.
+ */
+function listSubscriptionPayments(filter = {}) {
+    return paymentStore.all()
+        .filter(payment => !filter.status || payment.status === filter.status)
+        .sort((a, b) => b.blockNumber - a.blockNumber);
+}
+
+// Matches a payment to the oldest open order from the same sender for exactly the same amount
+function matchPayment(payment) {
+    const order = orderStore.all()
+        .filter(candidate => candidate.status === 'awaiting_payment'
+            && candidate.stablecoin === payment.stablecoin
+            && candidate.treasury === payment.to
+            && candidate.investorAddress === payment.from
+            && candidate.paymentUnits === payment.units)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+    if (!order) {
+        console.warn(`[subscriptions] Payment ${payment.paymentId} of ${payment.amount} from ${payment.from} matches no open order.`);
+        return;
+    }
+    order.status = 'paid';
+    order.payment = {
+        paymentId: payment.paymentId,
+        transactionHash: payment.transactionHash,
+        blockNumber: payment.blockNumber,
+        amount: payment.amount
+    };
+    saveOrder(order);
+    paymentStore.set(payment.paymentId, { ...payment, status: 'matched', orderId: order.orderId });
+    console.log(`[subscriptions] Payment ${payment.transactionHash} matched to order ${order.orderId}.`);
+}
+
+// A known payment re-included in another block by a reorg: its confirmations count from the new block
+function movePayment(payment, blockNumber) {
+    console.warn(`[subscriptions] Payment ${payment.transactionHash} moved from block ${payment.blockNumber} to ${blockNumber} (reorg).`);
+    paymentStore.set(payment.paymentId, { ...payment, blockNumber });
+    const order = payment.orderId && orderStore.get(payment.orderId);
+    if (order && order.payment && order.payment.paymentId === payment.paymentId) {
+        order.payment.blockNumber = blockNumber;
+        saveOrder(order);
+    }
+}
+
+// Scans the stablecoin's Transfer events to the treasury since the last scanned block. The last
+// `confirmations` blocks are scanned again on every pass, so a payment a reorg moved into a block
+// already scanned is still seen (payments are keyed by transaction hash and log index)
+async function scanPayments(latestBlock) {
+    const { stablecoin, treasury, confirmations } = getPaymentSetup();
+    const provider = getProvider();
+    const erc20 = new ethers.Contract(stablecoin, ERC20_ABI.abi, provider);
+    const paymentCoin = await getStablecoin(stablecoin);
+    const filter = erc20.filters.Transfer(null, treasury);
+
+    const state = watcherStore.get('state');
+    const configuredStart = getSubscriptionConfig().startBlock;
+    let fromBlock = state ? Math.max(state.lastScannedBlock + 1 - confirmations, 0)
+        : configuredStart !== null ? Number(configuredStart) : latestBlock;
+
+    while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + LOG_SCAN_RANGE - 1, latestBlock);
+        for (const log of await erc20.queryFilter(filter, fromBlock, toBlock)) {
+            const paymentId = `${log.transactionHash}:${log.index}`;
+            const known = paymentStore.get(paymentId);
+            if (known) {
+                if (known.blockNumber !== log.blockNumber) {
+                    movePayment(known, log.blockNumber);
+                }
+                continue;
+            }
+            const payment = {
+                paymentId,
+                stablecoin,
+                from: ethers.getAddress(log.args.from),
+                to: ethers.getAddress(log.args.to),
+                amount: formatTokenAmount(paymentCoin, log.args.value),
+                units: log.args.value.toString(),
+                transactionHash: log.transactionHash,
+                blockNumber: log.blockNumber,
+                status: 'unmatched',
+                orderId: null,
+                seenAt: new Date().toISOString()
+            };
+            paymentStore.set(paymentId, payment);
+            matchPayment(payment);
+        }
+        watcherStore.set('state', { lastScannedBlock: Math.max(toBlock, state ? state.lastScannedBlock : toBlock) });
+        fromBlock = toBlock + 1;
+    }
+}
+
+// Whether the payment's log is still in the canonical chain (it may have been reorged out)
+async function isPaymentCanonical(order) {
+    const receipt = await getProvider().getTransactionReceipt(order.payment.transactionHash);
+    if (!receipt || receipt.status !== 1) {
+        return false;
+    }
+    const logIndex = Number(order.payment.paymentId.split(':')[1]);
+    return receipt.logs.some(log => log.index === logIndex && ethers.getAddress(log.address) === order.stablecoin);
+}
+
+// Settles an order whose mint was started but not recorded: a broadcast mint is looked up by its hash, and
+// one that was never seen mined (or was never recorded as broadcast) is left for an operator to check
+async function checkStartedMint(order) {
+    const receipt = order.mint.transactionHash
+        ? await getProvider().getTransactionReceipt(order.mint.transactionHash)
+        : null;
+    if (receipt && receipt.status === 1) {
+        order.status = 'minted';
+        order.mint = { transactionHash: receipt.hash, mintedAt: new Date().toISOString() };
+        order.error = null;
+        console.log(`✅ [subscriptions] Order ${order.orderId} minted: ${receipt.hash}`);
+    } else if (receipt) {
+        // Reverted, so nothing was minted and the next poll retries it
+        order.mint = null;
+        order.error = { message: `Mint transaction ${receipt.hash} reverted.`, at: new Date().toISOString() };
+    } else if (order.error && order.error.startedMint) {
+        return;
+    } else {
+        order.error = {
+            message: order.mint.transactionHash
+                ? `Mint transaction ${order.mint.transactionHash} was broadcast but is not mined; check the chain (it may have been replaced) before retrying.`
+                : 'A mint was started but its outcome was not recorded; check the chain before retrying.',
+            startedMint: true,
+            at: new Date().toISOString()
+        };
+    }
+    saveOrder(order);
+}
+
+// Mints every paid order whose payment has enough confirmations
+async function mintConfirmedOrders(latestBlock) {
+    const { confirmations } = getSubscriptionConfig();
+    for (const order of orderStore.all().filter(candidate => candidate.status === 'paid')) {
+        // A mint that started but never recorded its outcome (the process died mid-way, or it was broadcast
+        // and waiting for it failed) may have gone through; minting again could pay the investor twice
+        if (order.mint && order.mint.startedAt) {
+            await checkStartedMint(order);
+            continue;
+        }
+        order.payment.confirmations = latestBlock - order.payment.blockNumber + 1;
+        if (order.payment.confirmations < confirmations) {
+            saveOrder(order);
+            continue;
+        }
+
+        if (!await isPaymentCanonical(order)) {
+            console.warn(`[subscriptions] Payment ${order.payment.transactionHash} for order ${order.orderId} is gone (reorg). Reopening the order.`);
+            paymentStore.remove(order.payment.paymentId);
+            order.status = 'awaiting_payment';
+            order.payment = null;
+            saveOrder(order);
+            continue;
+        }
+
+        order.mint = { startedAt: new Date().toISOString() };
+        saveOrder(order);
+        try {
+            const transactionHash = await mintTokens(order.investorAddress, order.tokenAmount, order.tokenAddress, hash => {
+                order.mint.transactionHash = hash;
+                saveOrder(order);
+            });
+            order.status = 'minted';
+            order.mint = { transactionHash, mintedAt: new Date().toISOString() };
+            order.error = null;
+            console.log(`✅ [subscriptions] Order ${order.orderId} minted: ${transactionHash}`);
+        } catch (error) {
+            console.error(`❌ [subscriptions] Minting order ${order.orderId} failed:`, error.shortMessage || error.message);
+            order.error = { message: error.shortMessage || error.message, checks: error.checks, at: new Date().toISOString() };
+            // Only a mint that was never broadcast (a failed pre-flight, or submission failing) or that reverted
+            // is safe to retry on the next poll; otherwise the receipt is checked on the next poll
+            const reverted = ethers.isError(error, 'CALL_EXCEPTION') && error.receipt && error.receipt.status === 0;
+            if (!order.mint.transactionHash || reverted) {
+                order.mint = null;
+            }
+        }
+        saveOrder(order);
+    }
+}
+
+/**
+ * Runs one reconciliation pass: records new treasury payments, matches them to orders and mints the
+ * orders whose payment is confirmed. Concurrent calls share the pass in progress.
+ * @returns {Promise<void>}
+ */
+async function reconcileSubscriptions() {
+    if (!processing) {
+        processing = (async () => {
+            const latestBlock = await getProvider().getBlockNumber();
+            await scanPayments(latestBlock);
+            await mintConfirmedOrders(latestBlock);
+        })().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+}
+
+/**
+ * Starts polling for payments, if the active network has a stablecoin and a treasury configured.
+ */
+function startPaymentWatcher() {
+    const { treasury, pollIntervalSeconds } = getSubscriptionConfig();
+    if (!treasury || !getNetwork().contracts.stablecoin) {
+        console.warn('Subscriptions: no stablecoin or treasury configured for this network; payment watcher not started.');
+        return;
+    }
+    if (watcherTimer) {
+        return;
+    }
+    const poll = () => reconcileSubscriptions().catch(error => {
+        console.error('[subscriptions] Reconciliation failed:', error.shortMessage || error.message);
+    });
+    watcherTimer = setInterval(poll, pollIntervalSeconds * 1000);
+    poll();
+    console.log(`✅ Subscriptions: watching payments to ${treasury} every ${pollIntervalSeconds}s.`);
+}
+
+module.exports = {
+    getSubscriptionConfig,
+    createSubscriptionOrder,
+    cancelSubscriptionOrder,
+    getSubscriptionOrder,
+    listSubscriptionOrders,
+    listSubscriptionPayments,
+    reconcileSubscriptions,
+    startPaymentWatcher
+};
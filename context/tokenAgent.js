@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const { getProvider } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+const { getToken, parseTokenAmount, formatTokenAmount } = require('./tokenCatalogue');
+
+/**
+ * Reason codes every agent action must carry, recorded in the audit log with the action.
+ */
+const REASON_CODES = [
+    'REGULATORY_REQUEST',    // regulator or law enforcement request
+    'COURT_ORDER',
+    'SANCTIONS_SCREENING',   // sanctions / AML screening hit
+    'KYC_EXPIRED',           // investor failed or lapsed re-screening
+    'LOST_WALLET_RECOVERY',
+    'INVESTOR_REQUEST',
+    'CORPORATE_ACTION',      // redemption, buyback, restructuring
+    'ERROR_CORRECTION',      // reverting an operational mistake
+    'SECURITY_INCIDENT'
+];
+
+// Every agent action taken through the API, keyed by transaction hash
+const agentActionStore = createStore('tokenAgentActions');
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function requireAddress(value, name) {
+    if (!value || !ethers.isAddress(value)) {
+        throw badRequest(`${name} must be a valid address.`);
+    }
+    return ethers.getAddress(value);
+}
+
+/**
+ * Reads the token's agent-relevant state, and an address's freeze state when given.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @param {string} [address] A holder address.
+ * @returns {Promise<object>} { tokenId, tokenAddress, paused, holder: { address, balance, isFrozen, frozenTokens } },
+ *          amounts as decimal strings.
+ */
+async function getTokenAgentState(tokenIdOrAddress, address) {
+    const entry = await getToken(tokenIdOrAddress);
+    const token = new ethers.Contract(entry.address, TOKEN_ABI.abi, getProvider());
+    const state = { tokenId: entry.id, tokenAddress: entry.address, paused: await token.paused() };
+    if (address) {
+        const holder = requireAddress(address, 'address');
+        state.holder = {
+            address: holder,
+            balance: formatTokenAmount(entry, await token.balanceOf(holder)),
+            isFrozen: await token.isFrozen(holder),
+            frozenTokens: formatTokenAmount(entry, await token.getFrozenTokens(holder))
+        };
+    }
+    return state;
+}
+
+/**
+ * Agent actions: contract method, the holder whose state to read back, and argument validation.
+ * Amounts are decimal strings, converted with the token's decimals.
+ */
+const AGENT_ACTIONS = {
+    pause: {
+        method: 'pause',
+        args: () => []
+    },
+    unpause: {
+        method: 'unpause',
+        args: () => []
+    },
+    freeze: {
+        method: 'setAddressFrozen',
+        holder: params => params.address,
+        args: params => [requireAddress(params.address, 'address'), true]
+    },
+    unfreeze: {
+        method: 'setAddressFrozen',
+        holder: params => params.address,
+        args: params => [requireAddress(params.address, 'address'), false]
+    },
+    freezePartial: {
+        method: 'freezePartialTokens',
+        holder: params => params.address,
+        args: (params, token) => [requireAddress(params.address, 'address'), parseTokenAmount(token, params.amount)]
+    },
+    unfreezePartial: {
+        method: 'unfreezePartialTokens',
+        holder: params => params.address,
+        args: (params, token) => [requireAddress(params.address, 'address'), parseTokenAmount(token, params.amount)]
+    },
+    forcedTransfer: {
+        method: 'forcedTransfer',
+        holder: params => params.from,
+        args: (params, token) => [requireAddress(params.from, 'from'), requireAddress(params.to, 'to'), parseTokenAmount(token, params.amount)]
+    },
+    burn: {
+        method: 'burn',
+        holder: params => params.address,
+        args: (params, token) => [requireAddress(params.address, 'address'), parseTokenAmount(token, params.amount)]
+    }
+};
+
+/**
+ * Runs a token agent action with the token agent signer and records it in the audit log.
+ * @param {string} tokenIdOrAddress The token's catalogue id or address.
+ * @param {string} action One of the AGENT_ACTIONS keys (e.g. "freeze").
+ * @param {object} params The action's parameters plus { reasonCode, note }.
+ * @param {string} requestedBy Who asked for the action (e.g. the API key name).
+ * @returns {Promise<object>} { action, transactionHash, reasonCode, state } with the state read back after mining.
+ */
+async function runAgentAction(tokenIdOrAddress, action, params, requestedBy) {
+    const definition = AGENT_ACTIONS[action];
+    if (!definition) {
+        throw badRequest(`Unknown agent action "${action}".`);
+    }
+    const entry = await getToken(tokenIdOrAddress);
+    const token = entry.address;
+    const { reasonCode, note } = params;
+    if (!REASON_CODES.includes(reasonCode)) {
+        throw badRequest(`reasonCode is required and must be one of: ${REASON_CODES.join(', ')}.`);
+    }
+    const args = definition.args(params, entry);
+
+    const tokenContract = new ethers.Contract(token, TOKEN_ABI.abi, await getSigner('tokenAgent'));
+    console.log(`[agent] ${action} on ${token} (${reasonCode}) requested by ${requestedBy}...`);
+    const tx = await submitTransaction('tokenAgent', action, tokenContract[definition.method].populateTransaction(...args));
+    const receipt = await waitForTransaction(tx);
+    console.log(`✅ [agent] ${action} on ${token} mined: ${receipt.hash}`);
+
+    const record = {
+        action,
+        tokenId: entry.id,
+        tokenAddress: token,
+        // As sent on-chain, so amounts are in base units
+        args: args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)),
+        amount: params.amount !== undefined ? params.amount : null,
+        reasonCode,
+        note: note || null,
+        requestedBy,
+        transactionHash: receipt.hash,
+        createdAt: new Date().toISOString()
+    };
+    agentActionStore.set(receipt.hash, record);
+
+    const holder = definition.holder ? definition.holder(params) : undefined;
+    return { ...record, state: await getTokenAgentState(token, holder) };
+}
+
+module.exports = {
+    REASON_CODES,
+    AGENT_ACTIONS,
+    getTokenAgentState,
+    runAgentAction
+};
@@ -0,0 +1,179 @@
+const { ethers } = require('ethers');
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const { getNetworkName, getNetwork, getProvider } = require('./config');
+const { createStore } = require('./store');
+
+// Registered ERC-3643 tokens with their cached metadata, keyed by "<network>:<lowercased address>"
+const tokenStore = createStore('tokens');
+
+const TOKEN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function storeKey(address) {
+    return `${getNetworkName()}:${address.toLowerCase()}`;
+}
+
+function networkTokens() {
+    const network = getNetworkName();
+    return tokenStore.all().filter(token => token.network === network);
+}
+
+// Reads the metadata we cache from the token contract
+async function readTokenMetadata(address) {
+    const token = new ethers.Contract(address, TOKEN_ABI.abi, getProvider());
+    try {
+        const [name, symbol, decimals, onchainID, compliance, identityRegistry] = await Promise.all([
+            token.name(),
+            token.symbol(),
+            token.decimals(),
+            token.onchainID(),
+            token.compliance(),
+            token.identityRegistry()
+        ]);
+        return { name, symbol, decimals: Number(decimals), onchainID, compliance, identityRegistry };
+    } catch (error) {
+        throw Object.assign(
+            new Error(`${address} does not look like an ERC-3643 token: ${error.shortMessage || error.message}`),
+            { statusCode: 422 }
+        );
+    }
+}
+
+/**
+ * Checks that a catalogue id is well formed and not used by another token on the active network.
+ * @param {string} tokenId The lowercased id.
+ * @param {string} [address] The token the id is meant for; an id it already holds is not a clash.
+ */
+function checkTokenId(tokenId, address) {
+    if (!TOKEN_ID_PATTERN.test(tokenId)) {
+        throw Object.assign(new Error(`Token id "${tokenId}" must be 1-32 lowercase letters, digits or dashes.`), { statusCode: 400 });
+    }
+    const clash = networkTokens().find(token => token.id === tokenId && (!address || token.address !== ethers.getAddress(address)));
+    if (clash) {
+        throw Object.assign(new Error(`Token id "${tokenId}" is already used by ${clash.address}.`), { statusCode: 409 });
+    }
+}
+
+/**
+ * Registers an ERC-3643 token in the catalogue (or refreshes it if already registered), caching
+ * name, symbol, decimals, onchainID, compliance and identityRegistry from the contract.
+ * @param {string} address The token contract address.
+ * @param {string} [id] A short id to address it by in the API (e.g. "trwa"); defaults to the lowercased symbol.
+ * @param {number|string} [deployedAtBlock] The block the token was deployed in; the indexer backfills the token
+ *        from it when it predates the indexer's startBlock. Kept from the existing entry when omitted.
+ * @returns {Promise<object>} The catalogue entry.
+ */
+async function registerToken(address, id, deployedAtBlock) {
+    if (!address || !ethers.isAddress(address)) {
+        throw Object.assign(new Error('address must be a valid token address.'), { statusCode: 400 });
+    }
+    if (deployedAtBlock !== undefined && deployedAtBlock !== null && !/^\d+$/.test(String(deployedAtBlock))) {
+        throw Object.assign(new Error('deployedAtBlock must be a block number.'), { statusCode: 400 });
+    }
+    const existing = tokenStore.get(storeKey(address));
+    const metadata = await readTokenMetadata(address);
+    const tokenId = (id || (existing && existing.id) || metadata.symbol).toLowerCase();
+    checkTokenId(tokenId, address);
+
+    const now = new Date().toISOString();
+    const entry = tokenStore.set(storeKey(address), {
+        id: tokenId,
+        network: getNetworkName(),
+        address: ethers.getAddress(address),
+        ...metadata,
+        deployedAtBlock: deployedAtBlock !== undefined && deployedAtBlock !== null
+            ? Number(deployedAtBlock)
+            : (existing && existing.deployedAtBlock !== undefined ? existing.deployedAtBlock : null),
+        registeredAt: existing ? existing.registeredAt : now,
+        refreshedAt: now
+    });
+    console.log(`${existing ? 'Refreshed' : 'Registered'} token ${entry.symbol} (${entry.id}) at ${entry.address}, ${entry.decimals} decimals.`);
+    return entry;
+}
+
+// The network profile's token is always in the catalogue
+async function ensureDefaultToken() {
+    const address = getNetwork().contracts.token;
+    if (address && !tokenStore.get(storeKey(address))) {
+        await registerToken(address);
+    }
+}
+
+/**
+ * Lists the tokens registered on the active network.
+ * @returns {Promise<object[]>} The catalogue entries.
+ */
+async function listTokens() {
+    await ensureDefaultToken();
+    return networkTokens();
+}
+
+/**
+ * Resolves a token by catalogue id or address. Unregistered tokens are refused, so only tokens an
+ * operator registered can be minted or acted on.
+ * @param {string} [idOrAddress] The catalogue id or token address; defaults to the network profile's token.
+ * @returns {Promise<object>} The catalogue entry.
+ */
+async function getToken(idOrAddress) {
+    await ensureDefaultToken();
+    if (!idOrAddress) {
+        const address = getNetwork().contracts.token;
+        if (!address) {
+            throw Object.assign(new Error(`No default token is configured for network "${getNetworkName()}".`), { statusCode: 400 });
+        }
+        return tokenStore.get(storeKey(address));
+    }
+    const entry = ethers.isAddress(idOrAddress)
+        ? tokenStore.get(storeKey(idOrAddress))
+        : networkTokens().find(token => token.id === String(idOrAddress).toLowerCase());
+    if (!entry) {
+        throw Object.assign(
+            new Error(`Token "${idOrAddress}" is not in the catalogue; register it with POST /tokens first.`),
+            { statusCode: 404 }
+        );
+    }
+    return entry;
+}
+
+/**
+ * Converts a human-readable decimal amount (e.g. "12.5") to base units with the token's decimals.
+ * @param {object} token The catalogue entry (or any object with decimals).
+ * @param {string|number} value The amount.
+ * @param {string} [name] The field name for error messages.
+ * @returns {bigint} The amount in base units (always positive).
+ */
+function parseTokenAmount(token, value, name = 'amount') {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !/^\d+(\.\d+)?$/.test(text.trim())) {
+        throw Object.assign(new Error(`${name} must be a decimal string such as "12.5".`), { statusCode: 400 });
+    }
+    let amount;
+    try {
+        amount = ethers.parseUnits(text.trim(), token.decimals);
+    } catch (error) {
+        throw Object.assign(new Error(`${name} has more than ${token.decimals} decimal places.`), { statusCode: 400 });
+    }
+    if (amount <= 0n) {
+        throw Object.assign(new Error(`${name} must be greater than zero.`), { statusCode: 400 });
+    }
+    return amount;
+}
+
+/**
+ * Formats base units as a human-readable decimal string with the token's decimals.
+ * @param {object} token The catalogue entry (or any object with decimals).
+ * @param {bigint|string} amount The amount in base units.
+ * @returns {string} The decimal amount (e.g. "12.5").
+ */
+function formatTokenAmount(token, amount) {
+    const formatted = ethers.formatUnits(amount, token.decimals);
+    return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+}
+
+module.exports = {
+    checkTokenId,
+    registerToken,
+    listTokens,
+    getToken,
+    parseTokenAmount,
+    formatTokenAmount
+};
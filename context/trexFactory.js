@@ -0,0 +1,234 @@
+const { ethers } = require('ethers');
+const TREX_FACTORY_ABI = require('../out/ITREXFactory.sol/ITREXFactory.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const OWNABLE_ABI = ['function owner() view returns (address)'];
+const { getNetworkName, getNetwork, getProvider, getContractAddress } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+const { getClaimTopic } = require('./claimCatalogue');
+const { checkTokenId, registerToken } = require('./tokenCatalogue');
+
+// Every suite deployed through the factory, keyed by "<network>:<lowercased token address>"
+const suiteStore = createStore('trexSuites');
+
+// Limits enforced by TREXFactory.deployTREXSuite, checked up front for a clear 400
+const MAX_AGENTS = 5;
+const MAX_CLAIM_TOPICS = 5;
+const MAX_TRUSTED_ISSUERS = 5;
+const MAX_MODULE_ACTIONS = 30;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function toAddress(value, name) {
+    if (!value || !ethers.isAddress(value)) {
+        throw badRequest(`${name} must be a valid address.`);
+    }
+    return ethers.getAddress(value);
+}
+
+// Accepts catalogue names ("KYC") or numeric topic ids
+function toTopics(topics, name) {
+    if (!Array.isArray(topics)) {
+        throw badRequest(`${name} must be a list of claim topics.`);
+    }
+    return [...new Set(topics.map(topic => getClaimTopic(topic).topic))];
+}
+
+// The server's own agents are always included so it can operate the new token
+async function toAgents(extra, role, name) {
+    if (extra !== undefined && !Array.isArray(extra)) {
+        throw badRequest(`${name} must be a list of addresses.`);
+    }
+    const agents = [await (await getSigner(role)).getAddress(), ...(extra || []).map(agent => toAddress(agent, name))];
+    const unique = [...new Set(agents)];
+    if (unique.length > MAX_AGENTS) {
+        throw badRequest(`${name} can hold at most ${MAX_AGENTS} agents, including the server's ${role}.`);
+    }
+    return unique;
+}
+
+/**
+ * The identity registry storage the new token's identity registry binds to: the one given, a new one for
+ * "new", and by default the profile's, so investors registered for the profile's token are already known to
+ * the new one. The factory binds a shared storage itself, which only its owner may do, so the factory has to
+ * own it (transfer ownership of the storage to the factory once to share it across deployments).
+ */
+async function resolveIdentityStorage(irs, factoryAddress) {
+    if (irs === 'new') {
+        return ethers.ZeroAddress;
+    }
+    const storage = irs
+        ? toAddress(irs, 'irs')
+        : await new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, getProvider()).identityStorage();
+    const storageOwner = await new ethers.Contract(storage, OWNABLE_ABI, getProvider()).owner();
+    if (storageOwner !== factoryAddress) {
+        throw Object.assign(
+            new Error(`The TREXFactory cannot bind identity registry storage ${storage} (owner is ${storageOwner}, not the factory). `
+                + 'Transfer its ownership to the factory, or pass "irs": "new" for a storage of its own.'),
+            { statusCode: 422 }
+        );
+    }
+    return storage;
+}
+
+/**
+ * Flattens [{ address, settings: ["0x..."] }] into the factory's parallel arrays. Setting i is called
+ * on module i, so a module with several settings is listed once per call (the factory binds it once)
+ * and modules without settings go last.
+ */
+function toModuleActions(complianceModules) {
+    if (!Array.isArray(complianceModules)) {
+        throw badRequest('complianceModules must be a list of { address, settings }.');
+    }
+    const withSettings = [];
+    const withoutSettings = [];
+    for (const module of complianceModules) {
+        const address = toAddress(module && module.address, 'complianceModules[].address');
+        const settings = module.settings || [];
+        if (!Array.isArray(settings) || settings.some(setting => !ethers.isHexString(setting))) {
+            throw badRequest('complianceModules[].settings must be a list of hex-encoded module calls.');
+        }
+        if (settings.length === 0) {
+            withoutSettings.push(address);
+        }
+        for (const setting of settings) {
+            withSettings.push({ address, setting });
+        }
+    }
+    const modules = [...withSettings.map(action => action.address), ...withoutSettings];
+    if (modules.length > MAX_MODULE_ACTIONS) {
+        throw badRequest(`complianceModules can carry at most ${MAX_MODULE_ACTIONS} module actions (one per setting call).`);
+    }
+    return { modules, settings: withSettings.map(action => action.setting) };
+}
+
+/**
+ * Deploys a new ERC-3643 suite (token, identity registry, identity registry storage, trusted issuers and
+ * claim topics registries, modular compliance) in one TREXFactory.deployTREXSuite call with the deployer signer,
+ * then registers the token in the catalogue, which caches its identity registry and compliance addresses.
+ * @param {object} request {
+ *            id, salt, name, symbol, decimals, owner, irs, onchainID, irAgents, tokenAgents,
+ *            claimTopics, trustedIssuers: [{ address, claimTopics }], complianceModules: [{ address, settings }]
+ *        }
+ *        id is the catalogue id (defaults to the lowercased symbol) and salt the factory salt (defaults to the id).
+ *        owner defaults to the deployer and onchainID to a new one. irs defaults to the profile's identity registry
+ *        storage ("new" for a new one; see resolveIdentityStorage). claimTopics defaults to ["KYC"] and
+ *        trustedIssuers to the profile's claimIssuer for every required topic.
+ * @param {string} requestedBy Who asked for the deployment (e.g. the API key name).
+ * @returns {Promise<object>} { suite, token }: the stored suite record and the catalogue entry.
+ */
+async function deployTokenSuite(request, requestedBy) {
+    const { name, symbol } = request;
+    const decimals = request.decimals === undefined ? 18 : Number(request.decimals);
+    if (!name || typeof name !== 'string' || !symbol || typeof symbol !== 'string') {
+        throw badRequest('name and symbol are required.');
+    }
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+        throw badRequest('decimals must be an integer between 0 and 18.');
+    }
+    const tokenId = (request.id || symbol).toLowerCase();
+    checkTokenId(tokenId);
+    const salt = request.salt || tokenId;
+
+    const deployer = await getSigner('deployer');
+    const deployerAddress = await deployer.getAddress();
+    const claimTopics = toTopics(request.claimTopics || ['KYC'], 'claimTopics');
+    const trustedIssuers = request.trustedIssuers
+        || (getNetwork().contracts.claimIssuer ? [{ address: getNetwork().contracts.claimIssuer, claimTopics }] : []);
+    if (!Array.isArray(trustedIssuers)) {
+        throw badRequest('trustedIssuers must be a list of { address, claimTopics }.');
+    }
+    const issuers = trustedIssuers.map(issuer => toAddress(issuer && issuer.address, 'trustedIssuers[].address'));
+    const issuerClaims = trustedIssuers.map(issuer => toTopics(issuer.claimTopics || claimTopics, 'trustedIssuers[].claimTopics'));
+    if (claimTopics.length > MAX_CLAIM_TOPICS) {
+        throw badRequest(`claimTopics can hold at most ${MAX_CLAIM_TOPICS} topics at deployment.`);
+    }
+    if (issuers.length > MAX_TRUSTED_ISSUERS) {
+        throw badRequest(`trustedIssuers can hold at most ${MAX_TRUSTED_ISSUERS} issuers at deployment.`);
+    }
+    const compliance = toModuleActions(request.complianceModules || []);
+    const factoryAddress = getContractAddress('trexFactory');
+
+    const tokenDetails = {
+        owner: request.owner ? toAddress(request.owner, 'owner') : deployerAddress,
+        name,
+        symbol,
+        decimals,
+        irs: await resolveIdentityStorage(request.irs, factoryAddress),
+        ONCHAINID: request.onchainID ? toAddress(request.onchainID, 'onchainID') : ethers.ZeroAddress,
+        irAgents: await toAgents(request.irAgents, 'registryAgent', 'irAgents'),
+        tokenAgents: await toAgents(request.tokenAgents, 'tokenAgent', 'tokenAgents'),
+        complianceModules: compliance.modules,
+        complianceSettings: compliance.settings
+    };
+    const claimDetails = { claimTopics, issuers, issuerClaims };
+
+    const factory = new ethers.Contract(factoryAddress, TREX_FACTORY_ABI.abi, deployer);
+    const factoryOwner = await new ethers.Contract(factoryAddress, OWNABLE_ABI, getProvider()).owner();
+    if (factoryOwner !== deployerAddress) {
+        throw Object.assign(
+            new Error(`The deployer signer ${deployerAddress} does not own the TREXFactory (owner is ${factoryOwner}).`),
+            { statusCode: 422 }
+        );
+    }
+    const existing = await factory.getToken(salt);
+    if (existing !== ethers.ZeroAddress) {
+        throw Object.assign(new Error(`The factory already deployed salt "${salt}" as token ${existing}.`), { statusCode: 409 });
+    }
+
+    console.log(`Deploying T-REX suite ${symbol} (salt "${salt}") through factory ${factoryAddress}...`);
+    const tx = await submitTransaction('deployer', `deployTREXSuite(${salt})`,
+        factory.deployTREXSuite.populateTransaction(salt, tokenDetails, claimDetails));
+    const receipt = await waitForTransaction(tx);
+
+    const factoryInterface = new ethers.Interface(TREX_FACTORY_ABI.abi);
+    const deployed = receipt.logs
+        .filter(log => log.address === factoryAddress)
+        .map(log => factoryInterface.parseLog(log))
+        .find(parsedLog => parsedLog && parsedLog.name === 'TREXSuiteDeployed');
+    if (!deployed) {
+        throw new Error(`Could not find the TREXSuiteDeployed event in transaction ${receipt.hash}.`);
+    }
+
+    const suite = suiteStore.set(`${getNetworkName()}:${deployed.args._token.toLowerCase()}`, {
+        network: getNetworkName(),
+        salt,
+        factory: factoryAddress,
+        token: deployed.args._token,
+        identityRegistry: deployed.args._ir,
+        identityRegistryStorage: deployed.args._irs,
+        trustedIssuersRegistry: deployed.args._tir,
+        claimTopicsRegistry: deployed.args._ctr,
+        compliance: deployed.args._mc,
+        owner: tokenDetails.owner,
+        irAgents: tokenDetails.irAgents,
+        tokenAgents: tokenDetails.tokenAgents,
+        claimTopics,
+        trustedIssuers: issuers.map((address, index) => ({ address, claimTopics: issuerClaims[index] })),
+        complianceModules: [...new Set(compliance.modules)],
+        transactionHash: receipt.hash,
+        requestedBy,
+        deployedAt: new Date().toISOString()
+    });
+    console.log(`✅ T-REX suite ${symbol} deployed: token ${suite.token}, identity registry ${suite.identityRegistry}, compliance ${suite.compliance}.`);
+
+    const token = await registerToken(suite.token, tokenId, receipt.blockNumber);
+    return { suite, token };
+}
+
+/**
+ * Returns the stored suite record of a token deployed through the factory.
+ * @param {string} tokenAddress The token address.
+ * @returns {object|undefined} The suite record.
+ */
+function getTokenSuite(tokenAddress) {
+    return suiteStore.get(`${getNetworkName()}:${tokenAddress.toLowerCase()}`);
+}
+
+module.exports = {
+    deployTokenSuite,
+    getTokenSuite
+};
@@ -0,0 +1,231 @@
+const { ethers } = require('ethers');
+const { getGasConfig, getGasOverrides, getBumpedGasOverrides, estimateGasLimit } = require('./gas');
+const { getSigner } = require('./signers');
+
+// How many times a submission is retried after a nonce or replacement error
+const MAX_SUBMIT_ATTEMPTS = 3;
+// How often pending transactions are checked for being stuck
+const PENDING_CHECK_INTERVAL_MS = 10000;
+
+/**
+ * Queue state per signing address (roles that share a key share a queue):
+ *   signer       the signer sending from the address
+ *   nextNonce    the next nonce to use, or null to resync from the chain
+ *   queue        tail of the submission queue; every submission waits for the previous one to be broadcast
+ *   pending      unmined transactions by nonce: { label, request, fees, tx, sentAt, bumps }
+ */
+const signerQueues = new Map();
+let pendingWatcher = null;
+let checkingPending = false;
+
+async function getSignerQueue(role) {
+    const signer = await getSigner(role);
+    const address = await signer.getAddress();
+    if (!signerQueues.has(address)) {
+        signerQueues.set(address, { signer, nextNonce: null, queue: Promise.resolve(), pending: new Map() });
+    }
+    return signerQueues.get(address);
+}
+
+/**
+ * Tells whether a send failed because of the nonce, i.e. whether retrying with a fresh nonce can help.
+ * @param {Error} error The error thrown by the provider.
+ * @returns {boolean} True for "nonce too low", "replacement underpriced" and similar errors.
+ */
+function isNonceError(error) {
+    if (error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED') {
+        return true;
+    }
+    const message = `${error.message || ''} ${(error.info && JSON.stringify(error.info)) || ''}`.toLowerCase();
+    return message.includes('nonce too low')
+        || message.includes('replacement transaction underpriced')
+        || message.includes('replacement underpriced')
+        || message.includes('nonce has already been used')
+        || message.includes("doesn't have the correct nonce");
+}
+
+/**
+ * Signs and broadcasts a transaction. A node answering "already known" has this exact signed transaction
+ * in its pool (e.g. an earlier broadcast whose response was lost), so it counts as sent and is returned.
+ * @param {ethers.Signer} signer The signer to send from.
+ * @param {object} txRequest The transaction, including its nonce, fees and gas limit.
+ * @returns {Promise<ethers.TransactionResponse>} The broadcast transaction.
+ */
+async function signAndSend(signer, txRequest) {
+    const populated = await signer.populateTransaction(txRequest);
+    delete populated.from;
+    const signed = await signer.signTransaction(ethers.Transaction.from(populated));
+    try {
+        return await signer.provider.broadcastTransaction(signed);
+    } catch (error) {
+        const message = `${error.message || ''} ${(error.info && JSON.stringify(error.info)) || ''}`.toLowerCase();
+        if (!message.includes('already known')) {
+            throw error;
+        }
+        const { hash } = ethers.Transaction.from(signed);
+        const tx = await signer.provider.getTransaction(hash);
+        if (!tx) {
+            throw Object.assign(new Error(`The node reported ${hash} as already known but does not return it.`), { transactionHash: hash });
+        }
+        return tx;
+    }
+}
+
+async function sendWithRetries(state, label, txRequest) {
+    const { signer } = state;
+    const request = await txRequest;
+
+    for (let attempt = 1; attempt <= MAX_SUBMIT_ATTEMPTS; attempt++) {
+        if (state.nextNonce === null) {
+            state.nextNonce = await signer.getNonce('pending');
+        }
+        const nonce = state.nextNonce;
+
+        try {
+            console.log(`[tx] ${label}: submitting with nonce ${nonce} (attempt ${attempt})...`);
+            const gasLimit = request.gasLimit || await estimateGasLimit(signer, request);
+            const fees = await getGasOverrides(signer.provider);
+            const tx = await signAndSend(signer, { ...request, ...fees, gasLimit, nonce });
+            state.nextNonce = nonce + 1;
+            console.log(`[tx] ${label}: sent ${tx.hash}`);
+
+            state.pending.set(nonce, { label, request: { ...request, gasLimit }, fees, tx, sentAt: Date.now(), bumps: 0 });
+            startPendingWatcher();
+            return tx;
+        } catch (error) {
+            // Resync from the chain on the next submission, whatever went wrong
+            state.nextNonce = null;
+            if (!isNonceError(error) || attempt === MAX_SUBMIT_ATTEMPTS) {
+                throw error;
+            }
+            console.warn(`[tx] ${label}: nonce ${nonce} rejected (${error.shortMessage || error.message}). Retrying...`);
+        }
+    }
+}
+
+/**
+ * Resubmits a stuck transaction with the same nonce and payload and higher fees.
+ * @param {ethers.Signer} signer The signer that sent it.
+ * @param {Map} pendingTransactions The signer's pending transactions.
+ * @param {number} nonce The nonce of the stuck transaction.
+ * @param {object} pending The pending transaction record.
+ */
+async function bumpPendingTransaction(signer, pendingTransactions, nonce, pending) {
+    const fees = await getBumpedGasOverrides(pending.fees, signer.provider);
+    if (!fees) {
+        console.warn(`[tx] ${pending.label}: nonce ${nonce} is stuck but already at the fee cap. Waiting.`);
+        pending.sentAt = Date.now();
+        return;
+    }
+
+    try {
+        const tx = await signAndSend(signer, { ...pending.request, ...fees, nonce });
+        console.log(`[tx] ${pending.label}: resubmitted nonce ${nonce} with higher fees as ${tx.hash} (replaces ${pending.tx.hash})`);
+        Object.assign(pending, { fees, tx, sentAt: Date.now(), bumps: pending.bumps + 1 });
+    } catch (error) {
+        if (isNonceError(error)) {
+            // The previous submission got mined in the meantime
+            pendingTransactions.delete(nonce);
+            return;
+        }
+        console.error(`[tx] ${pending.label}: failed to resubmit nonce ${nonce}:`, error.shortMessage || error.message);
+    }
+}
+
+/**
+ * Drops mined transactions from the pending list and bumps the ones unmined past the stuck timeout.
+ */
+async function checkPendingTransactions() {
+    if (checkingPending) {
+        return;
+    }
+    checkingPending = true;
+    try {
+        const stuckAfterMs = getGasConfig().stuckTimeoutSeconds * 1000;
+        for (const [address, state] of signerQueues) {
+            if (state.pending.size === 0) {
+                continue;
+            }
+            const minedNonce = await state.signer.provider.getTransactionCount(address, 'latest');
+
+            for (const [nonce, pending] of state.pending) {
+                if (nonce < minedNonce) {
+                    state.pending.delete(nonce);
+                } else if (Date.now() - pending.sentAt > stuckAfterMs) {
+                    await bumpPendingTransaction(state.signer, state.pending, nonce, pending);
+                }
+            }
+        }
+    } catch (error) {
+        console.error("[tx] Error checking pending transactions:", error.shortMessage || error.message);
+    } finally {
+        checkingPending = false;
+        const anyPending = [...signerQueues.values()].some(state => state.pending.size > 0);
+        if (!anyPending && pendingWatcher) {
+            clearInterval(pendingWatcher);
+            pendingWatcher = null;
+        }
+    }
+}
+
+function startPendingWatcher() {
+    if (!pendingWatcher) {
+        pendingWatcher = setInterval(checkPendingTransactions, PENDING_CHECK_INTERVAL_MS);
+        // Don't keep the process alive just to watch transactions
+        pendingWatcher.unref();
+    }
+}
+
+/**
+ * Submits a transaction from one of the signer roles through its in-process queue.
+ * Submissions are serialized per role; each one gets the role's next nonce, fees from the active gas
+ * strategy and an estimated gas limit. The caller waits for mining with waitForTransaction.
+ * @param {string} role The signer role (see signers.SIGNER_ROLES), e.g. "tokenAgent".
+ * @param {string} label A short description used in logs (e.g. "mint").
+ * @param {object|Promise<object>} txRequest The populated transaction, e.g. from
+ *        `contract.method.populateTransaction(...args)` on a contract connected to the role's signer.
+ * @returns {Promise<ethers.TransactionResponse>} The broadcast transaction.
+ */
+async function submitTransaction(role, label, txRequest) {
+    const request = Promise.resolve(txRequest);
+    // The request may reject while queued; it is awaited (and the error surfaced) once its turn comes
+    request.catch(() => {});
+    const state = await getSignerQueue(role);
+    const submission = state.queue.then(() => sendWithRetries(state, label, request));
+    state.queue = submission.catch(() => {});
+    return submission;
+}
+
+function forgetPending(tx) {
+    const state = signerQueues.get(ethers.getAddress(tx.from));
+    if (state) {
+        state.pending.delete(tx.nonce);
+    }
+}
+
+/**
+ * Waits for a queued transaction to be mined, following resubmissions made with higher fees.
+ * @param {ethers.TransactionResponse} tx The transaction returned by submitTransaction.
+ * @returns {Promise<ethers.TransactionReceipt>} The receipt of whichever submission got mined.
+ */
+async function waitForTransaction(tx) {
+    try {
+        const receipt = await tx.wait();
+        forgetPending(tx);
+        return receipt;
+    } catch (error) {
+        if (ethers.isError(error, 'TRANSACTION_REPLACED') && error.reason === 'repriced') {
+            forgetPending(tx);
+            if (error.receipt.status === 0) {
+                throw new Error(`Transaction ${error.receipt.hash} (resubmission of ${tx.hash}) reverted.`);
+            }
+            return error.receipt;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    submitTransaction,
+    waitForTransaction
+};
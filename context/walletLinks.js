@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+const ID_FACTORY_ABI = require('../out/IIdFactory.sol/IIdFactory.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const { getProvider, getContractAddress } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+
+// How long a link/unlink authorization signature stays usable
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
+// Link and unlink operations, keyed by keccak256 of the authorization signature (so it can't be replayed)
+const walletLinkStore = createStore('walletLinks');
+
+function getIdFactory() {
+    return new ethers.Contract(getContractAddress('idFactory'), ID_FACTORY_ABI.abi, getProvider());
+}
+
+/**
+ * Builds the message an already linked wallet signs (EIP-191 personal_sign) to authorize a link or unlink.
+ * @param {string} action "link" or "unlink".
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} wallet The wallet being linked or unlinked.
+ * @param {string} signer The already linked wallet signing the message.
+ * @param {string} issuedAt ISO 8601 timestamp.
+ * @returns {string} The message.
+ */
+function buildWalletLinkMessage(action, identityAddress, wallet, signer, issuedAt) {
+    const verb = action === 'link' ? 'Link wallet' : 'Unlink wallet';
+    const preposition = action === 'link' ? 'to' : 'from';
+    return [
+        `${verb} ${ethers.getAddress(wallet)} ${preposition} ONCHAINID ${ethers.getAddress(identityAddress)}`,
+        `Signed by: ${ethers.getAddress(signer)}`,
+        `Issued at: ${issuedAt}`
+    ].join('\n');
+}
+
+/**
+ * Checks a link/unlink authorization: a fresh, unused signature over buildWalletLinkMessage by a wallet
+ * the ID factory links to the identity.
+ * @returns {Promise<string>} The storage key of the authorization.
+ */
+async function verifyAuthorization(action, identityAddress, wallet, authorization) {
+    const { signer, signature, issuedAt } = authorization;
+    if (!signer || !ethers.isAddress(signer) || !signature || !issuedAt) {
+        throw Object.assign(new Error('signer, signature and issuedAt are required.'), { statusCode: 400 });
+    }
+    const issuedAtMs = Date.parse(issuedAt);
+    if (Number.isNaN(issuedAtMs) || Math.abs(Date.now() - issuedAtMs) > AUTHORIZATION_TTL_MS) {
+        throw Object.assign(new Error('issuedAt must be within the last 10 minutes.'), { statusCode: 401 });
+    }
+
+    const message = buildWalletLinkMessage(action, identityAddress, wallet, signer, issuedAt);
+    let recovered;
+    try {
+        recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+        throw Object.assign(new Error('signature is malformed.'), { statusCode: 400 });
+    }
+    if (recovered !== ethers.getAddress(signer)) {
+        throw Object.assign(new Error(`The signature does not match the message:\n${message}`), { statusCode: 401 });
+    }
+
+    const signerIdentity = await getIdFactory().getIdentity(signer);
+    if (signerIdentity !== ethers.getAddress(identityAddress)) {
+        throw Object.assign(new Error(`${signer} is not a wallet linked to ${identityAddress}.`), { statusCode: 403 });
+    }
+
+    const authorizationKey = ethers.keccak256(signature);
+    if (walletLinkStore.get(authorizationKey)) {
+        throw Object.assign(new Error('This authorization was already used.'), { statusCode: 409 });
+    }
+    return authorizationKey;
+}
+
+/**
+ * Lists the wallets linked to an identity, with their identity registry status.
+ * @param {string} identityAddress The identity contract address.
+ * @returns {Promise<object[]>} [{ wallet, inRegistry, country }]
+ */
+async function listLinkedWallets(identityAddress) {
+    if (!ethers.isAddress(identityAddress)) {
+        throw Object.assign(new Error('identity is not a valid address.'), { statusCode: 400 });
+    }
+    const idRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, getProvider());
+    const wallets = [];
+    for (const wallet of await getIdFactory().getWallets(identityAddress)) {
+        const inRegistry = await idRegistry.contains(wallet);
+        wallets.push({
+            wallet,
+            inRegistry,
+            country: inRegistry ? Number(await idRegistry.investorCountry(wallet)) : null
+        });
+    }
+    return wallets;
+}
+
+/**
+ * Links a new wallet to an identity and registers it in the identity registry with the signer's country.
+ * IdFactory.linkWallet only accepts calls from a wallet already linked to the identity, so the signer sends
+ * that transaction itself; until it is mined this responds 409 with the transaction to send.
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} newWallet The wallet to link.
+ * @param {object} authorization { signer, signature, issuedAt }, see buildWalletLinkMessage.
+ * @returns {Promise<object>} The link record.
+ */
+async function linkWallet(identityAddress, newWallet, authorization) {
+    if (!ethers.isAddress(identityAddress) || !newWallet || !ethers.isAddress(newWallet)) {
+        throw Object.assign(new Error('identity and newWallet must be valid addresses.'), { statusCode: 400 });
+    }
+    const authorizationKey = await verifyAuthorization('link', identityAddress, newWallet, authorization);
+
+    const idFactory = getIdFactory();
+    const linkedIdentity = await idFactory.getIdentity(newWallet);
+    if (linkedIdentity === ethers.ZeroAddress) {
+        const linkTransaction = await idFactory.linkWallet.populateTransaction(newWallet);
+        throw Object.assign(
+            new Error(`${newWallet} is not linked yet. Send the linkWallet transaction from ${authorization.signer}, then retry.`),
+            { statusCode: 409, linkTransaction: { from: ethers.getAddress(authorization.signer), ...linkTransaction } }
+        );
+    }
+    if (linkedIdentity !== ethers.getAddress(identityAddress)) {
+        throw Object.assign(new Error(`${newWallet} is linked to another identity (${linkedIdentity}).`), { statusCode: 409 });
+    }
+
+    const registryAgent = await getSigner('registryAgent');
+    const idRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, registryAgent);
+    if (!await idRegistry.contains(authorization.signer)) {
+        throw Object.assign(
+            new Error(`${authorization.signer} is not registered, so there is no country to copy.`),
+            { statusCode: 409 }
+        );
+    }
+    const country = Number(await idRegistry.investorCountry(authorization.signer));
+
+    let transactionHash = null;
+    if (await idRegistry.contains(newWallet)) {
+        console.log(`${newWallet} is already in the identity registry. Skipping.`);
+    } else {
+        console.log(`Registering linked wallet ${newWallet} for ${identityAddress} (country ${country})...`);
+        const tx = await submitTransaction('registryAgent', 'registerIdentity',
+            idRegistry.registerIdentity.populateTransaction(newWallet, identityAddress, country)
+        );
+        transactionHash = (await waitForTransaction(tx)).hash;
+        console.log(`✅ Linked wallet ${newWallet} registered.`);
+    }
+
+    return walletLinkStore.set(authorizationKey, {
+        action: 'link',
+        identityAddress: ethers.getAddress(identityAddress),
+        wallet: ethers.getAddress(newWallet),
+        authorizedBy: ethers.getAddress(authorization.signer),
+        country,
+        transactionHash,
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Unlinks a wallet from an identity and removes it from the identity registry.
+ * IdFactory.unlinkWallet only accepts calls from another wallet linked to the identity, so the signer sends
+ * that transaction itself; until it is mined this responds 409 with the transaction to send.
+ * @param {string} identityAddress The identity contract address.
+ * @param {string} wallet The wallet to unlink.
+ * @param {object} authorization { signer, signature, issuedAt } from another linked wallet.
+ * @returns {Promise<object>} The unlink record.
+ */
+async function unlinkWallet(identityAddress, wallet, authorization) {
+    if (!ethers.isAddress(identityAddress) || !ethers.isAddress(wallet)) {
+        throw Object.assign(new Error('identity and wallet must be valid addresses.'), { statusCode: 400 });
+    }
+    if (authorization.signer && ethers.isAddress(authorization.signer)
+        && ethers.getAddress(authorization.signer) === ethers.getAddress(wallet)) {
+        throw Object.assign(new Error('A wallet cannot authorize its own unlinking; sign with another linked wallet.'), { statusCode: 400 });
+    }
+    const authorizationKey = await verifyAuthorization('unlink', identityAddress, wallet, authorization);
+
+    const idFactory = getIdFactory();
+    if (await idFactory.getIdentity(wallet) === ethers.getAddress(identityAddress)) {
+        const unlinkTransaction = await idFactory.unlinkWallet.populateTransaction(wallet);
+        throw Object.assign(
+            new Error(`${wallet} is still linked. Send the unlinkWallet transaction from ${authorization.signer}, then retry.`),
+            { statusCode: 409, unlinkTransaction: { from: ethers.getAddress(authorization.signer), ...unlinkTransaction } }
+        );
+    }
+
+    const registryAgent = await getSigner('registryAgent');
+    const idRegistry = new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, registryAgent);
+    let transactionHash = null;
+    if (await idRegistry.contains(wallet) && await idRegistry.identity(wallet) === ethers.getAddress(identityAddress)) {
+        console.log(`Removing unlinked wallet ${wallet} from the identity registry...`);
+        const tx = await submitTransaction('registryAgent', 'deleteIdentity', idRegistry.deleteIdentity.populateTransaction(wallet));
+        transactionHash = (await waitForTransaction(tx)).hash;
+        console.log(`✅ Unlinked wallet ${wallet} removed from the registry.`);
+    }
+
+    return walletLinkStore.set(authorizationKey, {
+        action: 'unlink',
+        identityAddress: ethers.getAddress(identityAddress),
+        wallet: ethers.getAddress(wallet),
+        authorizedBy: ethers.getAddress(authorization.signer),
+        transactionHash,
+        createdAt: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    buildWalletLinkMessage,
+    listLinkedWallets,
+    linkWallet,
+    unlinkWallet
+};
@@ -0,0 +1,442 @@
+const { ethers } = require('ethers');
+const { randomBytes } = require('crypto');
+const ID_FACTORY_ABI = require('../out/IIdFactory.sol/IIdFactory.json');
+const IDENTITY_REGISTRY_ABI = require('../out/IdentityRegistry.sol/IdentityRegistry.json');
+const TOKEN_ABI = require('../out/IToken.sol/IToken.json');
+const { getProvider, getContractAddress } = require('./config');
+const { submitTransaction, waitForTransaction } = require('./txManager');
+const { getSigner } = require('./signers');
+const { createStore } = require('./store');
+const { getIdentityKeyPurposes, addIdentityKey, removeIdentityKey } = require('./identityKeys');
+const { runAgentAction } = require('./tokenAgent');
+const { getToken, formatTokenAmount } = require('./tokenCatalogue');
+
+// One record per recovery case, keyed by case id
+const recoveryStore = createStore('recoveryCases');
+
+// Cases currently executing in this process, so a double approval shares one run
+const runningCases = new Map();
+
+const KEY_PURPOSE_MANAGEMENT = 1;
+
+function getIdentityRegistry(runner) {
+    return new ethers.Contract(getContractAddress('identityRegistry'), IDENTITY_REGISTRY_ABI.abi, runner || getProvider());
+}
+
+function describeApiKey(apiKey) {
+    return `${apiKey.name} (${apiKey.id})`;
+}
+
+/**
+ * Builds the message the investor signs (EIP-191 personal_sign) with the new wallet to prove they control it.
+ * @param {object} recoveryCase The case record.
+ * @returns {string} The message.
+ */
+function buildRecoveryProofMessage(recoveryCase) {
+    return [
+        `Recover lost wallet ${recoveryCase.lostWallet} to ${recoveryCase.newWallet}`,
+        `ONCHAINID: ${recoveryCase.identityAddress}`,
+        `Recovery case: ${recoveryCase.caseId}`
+    ].join('\n');
+}
+
+/**
+ * Recovery steps, run in order once a case is approved. Each step checks the chain before acting,
+ * so re-running a step that already went through on-chain is a no-op.
+ *
+ * The Token build in out/ has no recoveryAddress() (only the RecoverySuccess event), so positions are
+ * moved with the agent's forcedTransfer, freezePartialTokens and setAddressFrozen instead.
+ */
+const STEPS = [
+    {
+        // Moves the lost wallet's key purposes (MANAGEMENT, CLAIM) to the new wallet on the ONCHAINID.
+        // The IdFactory link is the linkFactoryWallet step.
+        name: 'moveIdentityKeys',
+        async run(recoveryCase) {
+            const { identityAddress, lostWallet, newWallet } = recoveryCase;
+            const serverAddress = await (await getSigner('deployer')).getAddress();
+            const serverManages = (await getIdentityKeyPurposes(identityAddress, serverAddress)).includes(KEY_PURPOSE_MANAGEMENT);
+
+            if (!serverManages) {
+                console.log(`[recovery] Server no longer manages ${identityAddress}; leaving its keys untouched.`);
+                return { keysMoved: false };
+            }
+
+            // The lost wallet's purposes are read once and kept, so a resumed run still knows what to move
+            if (!recoveryCase.lostWalletPurposes) {
+                recoveryCase.lostWalletPurposes = await getIdentityKeyPurposes(identityAddress, lostWallet);
+                saveCase(recoveryCase);
+            }
+            for (const purpose of recoveryCase.lostWalletPurposes) {
+                await addIdentityKey(identityAddress, newWallet, purpose);
+            }
+            // MANAGEMENT last, once the new wallet already holds it
+            const currentPurposes = await getIdentityKeyPurposes(identityAddress, lostWallet);
+            const toRemove = currentPurposes.filter(purpose => purpose !== KEY_PURPOSE_MANAGEMENT)
+                .concat(currentPurposes.filter(purpose => purpose === KEY_PURPOSE_MANAGEMENT));
+            for (const purpose of toRemove) {
+                await removeIdentityKey(identityAddress, lostWallet, purpose);
+            }
+            return { keysMoved: true, purposes: recoveryCase.lostWalletPurposes };
+        }
+    },
+    {
+        name: 'registerNewWallet',
+        async run(recoveryCase) {
+            const { identityAddress, newWallet, country } = recoveryCase;
+            const idRegistry = getIdentityRegistry(await getSigner('registryAgent'));
+            if (await idRegistry.contains(newWallet)) {
+                console.log(`${newWallet} is already in the identity registry. Skipping.`);
+                return;
+            }
+            console.log(`[recovery] Registering ${newWallet} for ${identityAddress} (country ${country})...`);
+            const tx = await submitTransaction('registryAgent', 'registerIdentity',
+                idRegistry.registerIdentity.populateTransaction(newWallet, identityAddress, country)
+            );
+            return { transactionHash: (await waitForTransaction(tx)).hash };
+        }
+    },
+    {
+        // forcedTransfer unfreezes whatever part of the amount was frozen, so the frozen amount and the
+        // address freeze are snapshotted first and re-applied on the new wallet.
+        name: 'moveBalances',
+        async run(recoveryCase, requestedBy) {
+            const { lostWallet, newWallet, caseId } = recoveryCase;
+            const agentParams = { reasonCode: 'LOST_WALLET_RECOVERY', note: `Recovery case ${caseId}` };
+            recoveryCase.positions = recoveryCase.positions || {};
+
+            for (const tokenAddress of recoveryCase.tokens) {
+                const entry = await getToken(tokenAddress);
+                const token = new ethers.Contract(tokenAddress, TOKEN_ABI.abi, getProvider());
+                let position = recoveryCase.positions[tokenAddress];
+                if (!position) {
+                    position = {
+                        balance: formatTokenAmount(entry, await token.balanceOf(lostWallet)),
+                        frozenTokens: formatTokenAmount(entry, await token.getFrozenTokens(lostWallet)),
+                        addressFrozen: await token.isFrozen(lostWallet),
+                        transactions: []
+                    };
+                    recoveryCase.positions[tokenAddress] = position;
+                    saveCase(recoveryCase);
+                }
+
+                const remaining = await token.balanceOf(lostWallet);
+                if (remaining > 0n) {
+                    const result = await runAgentAction(tokenAddress, 'forcedTransfer',
+                        { ...agentParams, from: lostWallet, to: newWallet, amount: formatTokenAmount(entry, remaining) }, requestedBy);
+                    position.transactions.push(result.transactionHash);
+                    saveCase(recoveryCase);
+                }
+                const missingFrozen = ethers.parseUnits(position.frozenTokens, entry.decimals) - await token.getFrozenTokens(newWallet);
+                if (missingFrozen > 0n) {
+                    const result = await runAgentAction(tokenAddress, 'freezePartial',
+                        { ...agentParams, address: newWallet, amount: formatTokenAmount(entry, missingFrozen) }, requestedBy);
+                    position.transactions.push(result.transactionHash);
+                    saveCase(recoveryCase);
+                }
+                if (position.addressFrozen && !await token.isFrozen(newWallet)) {
+                    const result = await runAgentAction(tokenAddress, 'freeze', { ...agentParams, address: newWallet }, requestedBy);
+                    position.transactions.push(result.transactionHash);
+                    saveCase(recoveryCase);
+                }
+            }
+        }
+    },
+    {
+        name: 'unregisterLostWallet',
+        async run(recoveryCase) {
+            const { lostWallet } = recoveryCase;
+            const idRegistry = getIdentityRegistry(await getSigner('registryAgent'));
+            if (!await idRegistry.contains(lostWallet)) {
+                console.log(`${lostWallet} is no longer in the identity registry. Skipping.`);
+                return;
+            }
+            console.log(`[recovery] Removing lost wallet ${lostWallet} from the identity registry...`);
+            const tx = await submitTransaction('registryAgent', 'deleteIdentity', idRegistry.deleteIdentity.populateTransaction(lostWallet));
+            return { transactionHash: (await waitForTransaction(tx)).hash };
+        }
+    },
+    {
+        // IdFactory.linkWallet only accepts calls from a wallet already linked to the identity. While the
+        // investor has another one, the case waits (awaiting_factory_link) for them to send the link. With only
+        // the lost wallet linked nobody can, so the case completes unlinked and the server's identity checks
+        // take the new wallet's identity from the identity registry instead (see getRecoveredIdentity).
+        name: 'linkFactoryWallet',
+        async run(recoveryCase) {
+            const { identityAddress, lostWallet, newWallet } = recoveryCase;
+            const idFactory = new ethers.Contract(getContractAddress('idFactory'), ID_FACTORY_ABI.abi, getProvider());
+            const linkedIdentity = await idFactory.getIdentity(newWallet);
+            if (linkedIdentity === identityAddress) {
+                recoveryCase.factoryLink = { linked: true, confirmedAt: new Date().toISOString() };
+                return { linked: true };
+            }
+            if (linkedIdentity !== ethers.ZeroAddress) {
+                throw new Error(`${newWallet} is linked to another identity (${linkedIdentity}) in the IdFactory.`);
+            }
+
+            const linkedWallets = (await idFactory.getWallets(identityAddress)).filter(wallet => wallet !== lostWallet);
+            if (linkedWallets.length === 0) {
+                recoveryCase.factoryLink = { linked: false, identityFrom: 'identityRegistry' };
+                console.warn(`[recovery] Case ${recoveryCase.caseId}: only the lost wallet is linked to ${identityAddress}; `
+                    + `${newWallet} stays unlinked in the IdFactory.`);
+                return { linked: false, identityFrom: 'identityRegistry' };
+            }
+            const linkTransaction = await idFactory.linkWallet.populateTransaction(newWallet);
+            throw Object.assign(
+                new Error(`${newWallet} is not linked to ${identityAddress} yet. Send the linkWallet transaction from `
+                    + `a linked wallet (${linkedWallets.join(', ')}), then approve the case again.`),
+                { awaitingFactoryLink: true, linkTransaction: { from: linkedWallets[0], ...linkTransaction }, linkedWallets }
+            );
+        }
+    }
+];
+
+function saveCase(recoveryCase) {
+    recoveryCase.updatedAt = new Date().toISOString();
+    return recoveryStore.set(recoveryCase.caseId, recoveryCase);
+}
+
+function getCaseOrThrow(caseId) {
+    const recoveryCase = recoveryStore.get(caseId);
+    if (!recoveryCase) {
+        throw Object.assign(new Error(`Recovery case ${caseId} not found.`), { statusCode: 404 });
+    }
+    return recoveryCase;
+}
+
+function assertStatus(recoveryCase, ...statuses) {
+    if (!statuses.includes(recoveryCase.status)) {
+        throw Object.assign(
+            new Error(`Recovery case ${recoveryCase.caseId} is ${recoveryCase.status}; expected ${statuses.join(' or ')}.`),
+            { statusCode: 409 }
+        );
+    }
+}
+
+/**
+ * Opens a recovery case for a registered wallet whose key the investor lost.
+ * @param {object} request { lostWallet, newWallet, tokens (catalogue ids or addresses, defaults to the profile's token), note }
+ * @param {object} apiKey The API key record of the operator opening the case.
+ * @returns {Promise<object>} The case record with the proofMessage the investor signs with the new wallet.
+ */
+async function openRecoveryCase(request, apiKey) {
+    const { lostWallet, newWallet, note } = request;
+    if (!lostWallet || !ethers.isAddress(lostWallet) || !newWallet || !ethers.isAddress(newWallet)) {
+        throw Object.assign(new Error('lostWallet and newWallet must be valid addresses.'), { statusCode: 400 });
+    }
+    if (ethers.getAddress(lostWallet) === ethers.getAddress(newWallet)) {
+        throw Object.assign(new Error('newWallet must differ from lostWallet.'), { statusCode: 400 });
+    }
+    const tokens = request.tokens || [undefined];
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+        throw Object.assign(new Error('tokens must be a non-empty array of catalogue ids or token addresses.'), { statusCode: 400 });
+    }
+    const tokenAddresses = [];
+    for (const token of tokens) {
+        tokenAddresses.push((await getToken(token)).address);
+    }
+
+    const idRegistry = getIdentityRegistry();
+    if (!await idRegistry.contains(lostWallet)) {
+        throw Object.assign(new Error(`${lostWallet} is not in the identity registry.`), { statusCode: 404 });
+    }
+    const identityAddress = await idRegistry.identity(lostWallet);
+    if (await idRegistry.contains(newWallet) && await idRegistry.identity(newWallet) !== identityAddress) {
+        throw Object.assign(new Error(`${newWallet} is registered to another identity.`), { statusCode: 409 });
+    }
+    const openCase = recoveryStore.all().find(existing => existing.lostWallet === ethers.getAddress(lostWallet)
+        && !['completed', 'cancelled'].includes(existing.status));
+    if (openCase) {
+        throw Object.assign(new Error(`Recovery case ${openCase.caseId} is already open for ${lostWallet}.`), { statusCode: 409 });
+    }
+
+    const now = new Date().toISOString();
+    const steps = {};
+    for (const step of STEPS) {
+        steps[step.name] = { status: 'pending' };
+    }
+    const recoveryCase = {
+        caseId: randomBytes(8).toString('hex'),
+        lostWallet: ethers.getAddress(lostWallet),
+        newWallet: ethers.getAddress(newWallet),
+        identityAddress,
+        country: Number(await idRegistry.investorCountry(lostWallet)),
+        tokens: tokenAddresses,
+        note: note || null,
+        status: 'awaiting_proof',
+        openedBy: { id: apiKey.id, name: apiKey.name },
+        approvedBy: null,
+        proof: null,
+        currentStep: null,
+        steps,
+        factoryLink: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    saveCase(recoveryCase);
+    console.log(`[recovery] Case ${recoveryCase.caseId} opened for ${lostWallet} -> ${newWallet} by ${describeApiKey(apiKey)}.`);
+    return { ...recoveryCase, proofMessage: buildRecoveryProofMessage(recoveryCase) };
+}
+
+/**
+ * Records the investor's proof of control of the new wallet: a signature over buildRecoveryProofMessage.
+ * @param {string} caseId The case id.
+ * @param {string} signature The new wallet's EIP-191 signature.
+ * @returns {object} The case record, now awaiting approval.
+ */
+function submitRecoveryProof(caseId, signature) {
+    const recoveryCase = getCaseOrThrow(caseId);
+    assertStatus(recoveryCase, 'awaiting_proof');
+    if (!signature) {
+        throw Object.assign(new Error('signature is required.'), { statusCode: 400 });
+    }
+    const message = buildRecoveryProofMessage(recoveryCase);
+    let recovered;
+    try {
+        recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+        throw Object.assign(new Error('signature is malformed.'), { statusCode: 400 });
+    }
+    if (recovered !== recoveryCase.newWallet) {
+        throw Object.assign(new Error(`The signature is not from ${recoveryCase.newWallet} over:\n${message}`), { statusCode: 401 });
+    }
+
+    recoveryCase.proof = { signature, submittedAt: new Date().toISOString() };
+    recoveryCase.status = 'awaiting_approval';
+    console.log(`[recovery] Case ${caseId}: control of ${recoveryCase.newWallet} proven.`);
+    return saveCase(recoveryCase);
+}
+
+async function runRecovery(recoveryCase, requestedBy) {
+    recoveryCase.status = 'executing';
+    recoveryCase.error = null;
+    saveCase(recoveryCase);
+
+    for (const step of STEPS) {
+        if (recoveryCase.steps[step.name].status === 'completed') {
+            continue;
+        }
+        recoveryCase.currentStep = step.name;
+        saveCase(recoveryCase);
+        console.log(`[recovery] Case ${recoveryCase.caseId}: running step ${step.name}...`);
+
+        try {
+            const result = await step.run(recoveryCase, requestedBy);
+            recoveryCase.steps[step.name] = {
+                status: 'completed',
+                completedAt: new Date().toISOString(),
+                ...(result ? { result } : {})
+            };
+            saveCase(recoveryCase);
+        } catch (error) {
+            if (error.awaitingFactoryLink) {
+                console.log(`[recovery] Case ${recoveryCase.caseId}: ${error.message}`);
+                recoveryCase.status = 'awaiting_factory_link';
+                recoveryCase.steps[step.name] = { status: 'awaiting', checkedAt: new Date().toISOString() };
+                recoveryCase.factoryLink = {
+                    linked: false,
+                    message: error.message,
+                    linkTransaction: error.linkTransaction,
+                    linkedWallets: error.linkedWallets
+                };
+                return saveCase(recoveryCase);
+            }
+            console.error(`[recovery] Case ${recoveryCase.caseId}: step ${step.name} failed:`, error);
+            recoveryCase.status = 'failed';
+            recoveryCase.steps[step.name] = { status: 'failed', failedAt: new Date().toISOString() };
+            recoveryCase.error = { step: step.name, message: error.shortMessage || error.message };
+            saveCase(recoveryCase);
+            throw Object.assign(error, { recoveryCase });
+        }
+    }
+
+    recoveryCase.status = 'completed';
+    recoveryCase.currentStep = null;
+    saveCase(recoveryCase);
+    console.log(`✅ [recovery] Case ${recoveryCase.caseId}: ${recoveryCase.lostWallet} recovered to ${recoveryCase.newWallet}.`);
+    return recoveryCase;
+}
+
+/**
+ * Approves a proven case and runs the recovery. The approver must be a different API key from the
+ * operator who opened the case. Approving a failed case again resumes it at its failed step, and approving
+ * a case awaiting its factory link checks the link again.
+ * @param {string} caseId The case id.
+ * @param {object} apiKey The API key record of the approving operator.
+ * @returns {Promise<object>} The case record: completed, or awaiting_factory_link with factoryLink.linkTransaction.
+ */
+async function approveRecoveryCase(caseId, apiKey) {
+    if (runningCases.has(caseId)) {
+        return runningCases.get(caseId);
+    }
+    const recoveryCase = getCaseOrThrow(caseId);
+    assertStatus(recoveryCase, 'awaiting_approval', 'failed', 'awaiting_factory_link');
+    if (apiKey.id === recoveryCase.openedBy.id) {
+        throw Object.assign(new Error('A recovery case must be approved by a different operator than the one who opened it.'), { statusCode: 403 });
+    }
+    if (!recoveryCase.approvedBy) {
+        recoveryCase.approvedBy = { id: apiKey.id, name: apiKey.name, approvedAt: new Date().toISOString() };
+    }
+
+    const run = runRecovery(recoveryCase, describeApiKey(apiKey)).finally(() => runningCases.delete(caseId));
+    runningCases.set(caseId, run);
+    return run;
+}
+
+/**
+ * Cancels a case that has not started executing.
+ * @param {string} caseId The case id.
+ * @param {object} apiKey The API key record of the cancelling operator.
+ * @returns {object} The cancelled case record.
+ */
+function cancelRecoveryCase(caseId, apiKey) {
+    const recoveryCase = getCaseOrThrow(caseId);
+    assertStatus(recoveryCase, 'awaiting_proof', 'awaiting_approval');
+    recoveryCase.status = 'cancelled';
+    recoveryCase.cancelledBy = { id: apiKey.id, name: apiKey.name, cancelledAt: new Date().toISOString() };
+    console.log(`[recovery] Case ${caseId} cancelled by ${describeApiKey(apiKey)}.`);
+    return saveCase(recoveryCase);
+}
+
+/**
+ * Returns a recovery case, with the proof message while it awaits the investor's signature.
+ * @param {string} caseId The case id.
+ * @returns {object} The case record.
+ */
+function getRecoveryCase(caseId) {
+    const recoveryCase = getCaseOrThrow(caseId);
+    return recoveryCase.status === 'awaiting_proof'
+        ? { ...recoveryCase, proofMessage: buildRecoveryProofMessage(recoveryCase) }
+        : recoveryCase;
+}
+
+/**
+ * Returns the identity of a wallet recovered while only the lost wallet was linked to its identity, so the
+ * IdFactory has no link for it: the identity the identity registry holds for it, per its completed case.
+ * @param {string} wallet The wallet address.
+ * @returns {Promise<string|null>} The identity address, or null when the wallet is not such a recovered wallet.
+ */
+async function getRecoveredIdentity(wallet) {
+    const address = ethers.getAddress(wallet);
+    const recoveryCase = recoveryStore.all().find(candidate => candidate.newWallet === address
+        && candidate.status === 'completed' && candidate.factoryLink && candidate.factoryLink.identityFrom === 'identityRegistry');
+    if (!recoveryCase) {
+        return null;
+    }
+    const idRegistry = getIdentityRegistry();
+    if (!await idRegistry.contains(address) || await idRegistry.identity(address) !== recoveryCase.identityAddress) {
+        return null;
+    }
+    return recoveryCase.identityAddress;
+}
+
+module.exports = {
+    buildRecoveryProofMessage,
+    openRecoveryCase,
+    submitRecoveryProof,
+    approveRecoveryCase,
+    cancelRecoveryCase,
+    getRecoveryCase,
+    getRecoveredIdentity
+};
@@ -0,0 +1,43 @@
+// Manages the server's role-based API keys.
+//   node scripts/apiKeys.js create <role> <name>   (roles: operator, compliance, readonly)
+//   node scripts/apiKeys.js list
+//   node scripts/apiKeys.js revoke <id>
+require('dotenv').config();
+const { ROLES, createApiKey, listApiKeys, revokeApiKey } = require('../context/apiKeys');
+
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'create': {
+            const [role, name] = args;
+            if (!role || !name) {
+                throw new Error(`Usage: create <role> <name> (roles: ${ROLES.join(', ')})`);
+            }
+            const key = createApiKey(name, role);
+            console.log(`✅ Created ${key.role} key "${key.name}" (id ${key.id}).`);
+            console.log(`   API key (shown only once): ${key.apiKey}`);
+            break;
+        }
+        case 'list':
+            console.table(listApiKeys());
+            break;
+        case 'revoke': {
+            const [id] = args;
+            if (!id) {
+                throw new Error('Usage: revoke <id>');
+            }
+            console.log(revokeApiKey(id) ? `✅ Revoked key ${id}.` : `No live key with id ${id}.`);
+            break;
+        }
+        default:
+            throw new Error('Commands: create <role> <name>, list, revoke <id>');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
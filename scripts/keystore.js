@@ -0,0 +1,45 @@
+// Creates encrypted JSON keystores for the server's signer roles (see context/signers.js).
+//   node scripts/keystore.js new <file>       generates a new key
+//   node scripts/keystore.js import <file>    encrypts the key in PRIVATE_KEY
+//   node scripts/keystore.js address <file>   prints the keystore's address without decrypting it
+// The password is read from KEYSTORE_PASSWORD.
+require('dotenv').config();
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+async function main() {
+    const [command, file] = process.argv.slice(2);
+    if (!['new', 'import', 'address'].includes(command) || !file) {
+        throw new Error('Commands: new <file>, import <file>, address <file>');
+    }
+
+    if (command === 'address') {
+        console.log(ethers.getAddress(JSON.parse(fs.readFileSync(file, 'utf8')).address));
+        return;
+    }
+
+    const password = process.env.KEYSTORE_PASSWORD;
+    if (!password) {
+        throw new Error("Missing required environment variable (KEYSTORE_PASSWORD).");
+    }
+    if (fs.existsSync(file)) {
+        throw new Error(`${file} already exists.`);
+    }
+    let wallet;
+    if (command === 'import') {
+        if (!process.env.PRIVATE_KEY) {
+            throw new Error("Missing required environment variable (PRIVATE_KEY).");
+        }
+        wallet = new ethers.Wallet(process.env.PRIVATE_KEY);
+    } else {
+        wallet = ethers.Wallet.createRandom();
+    }
+
+    fs.writeFileSync(file, await wallet.encrypt(password), { mode: 0o600 });
+    console.log(`✅ Wrote keystore for ${wallet.address} to ${file}.`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
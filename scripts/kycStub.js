@@ -0,0 +1,40 @@
+// Local stand-in for the KYC vendor: sends a signed verification result to POST /kyc/webhook.
+//   node scripts/kycStub.js <walletAddress> <approved|rejected|needs_review> [reference]
+// Uses KYC_WEBHOOK_SECRET and posts to KYC_WEBHOOK_URL (default http://localhost:$PORT/kyc/webhook).
+require('dotenv').config();
+const { randomBytes } = require('crypto');
+const { KYC_RESULTS, signWebhookPayload } = require('../context/kyc');
+
+async function main() {
+    const [walletAddress, result, reference = `stub-${randomBytes(4).toString('hex')}`] = process.argv.slice(2);
+    if (!walletAddress || !KYC_RESULTS.includes(result)) {
+        throw new Error(`Usage: <walletAddress> <${KYC_RESULTS.join('|')}> [reference]`);
+    }
+
+    const url = process.env.KYC_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/kyc/webhook`;
+    const body = JSON.stringify({
+        eventId: randomBytes(8).toString('hex'),
+        walletAddress,
+        result,
+        reference,
+        vendor: 'local-stub',
+        reviewedAt: new Date().toISOString()
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'content-type': 'application/json',
+            'x-kyc-timestamp': timestamp,
+            'x-kyc-signature': `sha256=${signWebhookPayload(timestamp, body)}`
+        },
+        body
+    });
+    console.log(`${response.status}`, await response.text());
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+// Local stand-in for a remote signing service (HSM / KMS gateway), as used by RemoteSigner in context/signers.js.
+//   node scripts/remoteSigner.js
+// Loads its key from REMOTE_SIGNER_KEYSTORE (+ REMOTE_SIGNER_KEYSTORE_PASSWORD) or REMOTE_SIGNER_PRIVATE_KEY,
+// listens on REMOTE_SIGNER_PORT (default 3101) and, when REMOTE_SIGNER_TOKEN is set, requires it as a bearer token.
+require('dotenv').config();
+const fs = require('fs');
+const express = require('express');
+const { ethers } = require('ethers');
+
+async function loadWallet() {
+    if (process.env.REMOTE_SIGNER_KEYSTORE) {
+        const keystore = fs.readFileSync(process.env.REMOTE_SIGNER_KEYSTORE, 'utf8');
+        return ethers.Wallet.fromEncryptedJson(keystore, process.env.REMOTE_SIGNER_KEYSTORE_PASSWORD || '');
+    }
+    if (process.env.REMOTE_SIGNER_PRIVATE_KEY) {
+        return new ethers.Wallet(process.env.REMOTE_SIGNER_PRIVATE_KEY);
+    }
+    throw new Error("Missing required environment variable (REMOTE_SIGNER_KEYSTORE or REMOTE_SIGNER_PRIVATE_KEY).");
+}
+
+async function main() {
+    const wallet = await loadWallet();
+    const token = process.env.REMOTE_SIGNER_TOKEN;
+    const port = process.env.REMOTE_SIGNER_PORT || 3101;
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        if (token && req.get('authorization') !== `Bearer ${token}`) {
+            return res.status(401).json({ error: 'Invalid signer token.' });
+        }
+        next();
+    });
+
+    app.get('/address', (req, res) => {
+        res.status(200).json({ address: wallet.address });
+    });
+
+    app.post('/sign-transaction', async (req, res) => {
+        try {
+            const tx = ethers.Transaction.from(req.body.transaction);
+            console.log(`[signer] Signing transaction to ${tx.to} (nonce ${tx.nonce}).`);
+            res.status(200).json({ signedTransaction: await wallet.signTransaction(tx) });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.post('/sign-message', async (req, res) => {
+        try {
+            console.log(`[signer] Signing message ${req.body.message}.`);
+            res.status(200).json({ signature: await wallet.signMessage(ethers.getBytes(req.body.message)) });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.listen(port, () => {
+        console.log(`✅ Remote signer for ${wallet.address} listening on http://localhost:${port}`);
+    });
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -6,32 +6,174 @@ const cors = require('cors'); // Import the cors package
 // const { identityProxy, registerIdentity, identityStatus } = require('./context/deployIdentity');
 // const { getIdentityForUser } = require('./context/readIdentity');
 const {
-    generateClaimSignature,
     createIdentity,
 addToIdentityRegistry,
 getIdentityForUser,
 handleGetKYCSignature  } = require('./context/handleKyc');
 const { randomBytes } = require('crypto');
-const { mintTokens } = require('./context/invest');
+const { ethers } = require('ethers');
+const { mintTokens, checkMintEligibility } = require('./context/invest');
+const { getPublicConfig } = require('./context/config');
+const { onboardInvestor, getOnboardingStatus, resumePendingOnboardings } = require('./context/onboarding');
+const { createSignInNonce, verifySignIn, endSession, getBearerToken, requireWalletSession } = require('./context/siwe');
+const { requireRole } = require('./context/apiKeys');
+const { verifyWebhookSignature, recordVerificationResult, getVerification, issueVerifiedClaim } = require('./context/kyc');
+const { listClaimTopics } = require('./context/claimCatalogue');
+const { revokeClaim, getClaimStatus } = require('./context/claimRevocation');
+const { verifyClaim } = require('./context/claimVerification');
+const { getInvestorStatus } = require('./context/investorStatus');
+const { listIdentityKeys, addIdentityKey, removeIdentityKey, handOverCustody } = require('./context/identityKeys');
+const { listLinkedWallets, linkWallet, unlinkWallet } = require('./context/walletLinks');
+const { getTokenAgentState, runAgentAction } = require('./context/tokenAgent');
+const { registerToken, listTokens, getToken } = require('./context/tokenCatalogue');
+const { deployTokenSuite, getTokenSuite } = require('./context/trexFactory');
+const { listComplianceModules, getComplianceModule, changeCompliance, simulateTransfer } = require('./context/complianceModules');
+const { getClaimRegistries, getRegistryConsistencyReport, changeClaimRegistry } = require('./context/claimRegistries');
+const { startIndexer, getIndexerStatus, queryEvents } = require('./context/indexer');
+const { getCapTable, capTableToCsv } = require('./context/capTable');
+const { parseDistributionCsv, distributeTokens, getDistribution } = require('./context/distribution');
+const {
+    createSubscriptionOrder,
+    cancelSubscriptionOrder,
+    getSubscriptionOrder,
+    listSubscriptionOrders,
+    listSubscriptionPayments,
+    reconcileSubscriptions,
+    startPaymentWatcher
+} = require('./context/subscriptions');
+const {
+    openRecoveryCase,
+    submitRecoveryProof,
+    approveRecoveryCase,
+    cancelRecoveryCase,
+    getRecoveryCase
+} = require('./context/walletRecovery');
+const { describeSigners, checkClaimSigner } = require('./context/signers');
 
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-app.use(cors());
+// Allowed browser origins, comma-separated (e.g. "https://app.example.com,http://localhost:3000").
+// Left unset, any origin is allowed.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (corsOrigins.length === 0) {
+    console.warn('CORS_ORIGINS is not set; allowing requests from any origin.');
+}
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : '*' }));
 
 
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // --- API Endpoints ---
 
+/**
+ * @route GET /config
+ * @desc Returns the active network profile so clients use the same chain and contract addresses.
+ * @returns { "network": "amoy", "chainId": 80002, "rpcUrls": [...], "contracts": {...} } or an error message.
+ */
+app.get('/config', (req, res) => {
+    try {
+        res.status(200).json(getPublicConfig());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load network configuration.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /auth/nonce
+ * @desc Issues a single-use nonce for a Sign-In With Ethereum (EIP-4361) message.
+ * @returns { "nonce": "...", "expiresAt": "..." }
+ */
+app.get('/auth/nonce', (req, res) => {
+    res.status(200).json(createSignInNonce());
+});
+
+/**
+ * @route POST /auth/verify
+ * @desc Verifies a signed SIWE message and returns a session token for the wallet.
+ *       The message's domain must match SIWE_DOMAIN (or this server's host if unset).
+ * @body { "message": "<EIP-4361 message>", "signature": "0x..." }
+ * @returns { "token": "...", "address": "0x...", "expiresAt": "..." } or an error message.
+ */
+app.post('/auth/verify', async (req, res) => {
+    const { message, signature } = req.body;
+    if (!message || !signature) {
+        return res.status(400).json({ error: 'message and signature are required.' });
+    }
+
+    try {
+        const session = await verifySignIn(message, signature, process.env.SIWE_DOMAIN || req.get('host'));
+        res.status(200).json(session);
+    } catch (error) {
+        res.status(401).json({ error: 'Sign-in failed.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /auth/logout
+ * @desc Ends the session identified by the bearer token.
+ * @returns 204 No Content.
+ */
+app.post('/auth/logout', (req, res) => {
+    const token = getBearerToken(req);
+    if (token) {
+        endSession(token);
+    }
+    res.status(204).end();
+});
+
+/**
+ * @route POST /kyc/webhook
+ * @desc Receives verification results from the KYC vendor.
+ *       Authenticated with X-KYC-Timestamp (unix seconds) and
+ *       X-KYC-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with KYC_WEBHOOK_SECRET.
+ * @body { "eventId": "...", "walletAddress": "0x...", "result": "approved" | "rejected" | "needs_review",
+ *         "reference": "<vendor applicant reference>", "vendor": "...", "reviewedAt": "..." }
+ * @returns { "received": true, "status": "approved" } or an error message.
+ */
+app.post('/kyc/webhook', (req, res) => {
+    let authentic;
+    try {
+        authentic = verifyWebhookSignature(req.get('x-kyc-signature'), req.get('x-kyc-timestamp'), req.rawBody);
+    } catch (error) {
+        return res.status(500).json({ error: 'Webhook verification is not configured.', details: error.message });
+    }
+    if (!authentic) {
+        return res.status(401).json({ error: 'Invalid or expired webhook signature.' });
+    }
+
+    try {
+        const verification = recordVerificationResult(req.body);
+        res.status(200).json({ received: true, status: verification.status });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid webhook payload.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /kyc/:walletAddress
+ * @desc Returns the KYC verification on record for a wallet. Requires an API key (any role).
+ * @param {string} walletAddress - The investor's wallet address in the URL path.
+ * @returns The verification record or an error message.
+ */
+app.get('/kyc/:walletAddress', requireRole('operator', 'compliance', 'readonly'), (req, res) => {
+    const verification = getVerification(req.params.walletAddress);
+    if (!verification) {
+        return res.status(404).json({ error: 'No KYC verification on record for this address.' });
+    }
+    res.status(200).json(verification);
+});
+
 /**
  * @route POST /deploy
  * @desc Deploys an IdentityProxy contract for a given user address.
+ *       Requires a SIWE session for userAddress.
  * @body { "userAddress": "0x..." }
  * @returns { "address": "0x..." } or an error message.
  */
-app.post('/deploy', async (req, res) => {
+app.post('/deploy', requireWalletSession, async (req, res) => {
     const { userAddress } = req.body;
     if (!userAddress) {
         return res.status(400).json({ error: 'userAddress is required in the request body.' });
@@ -46,28 +188,104 @@ app.post('/deploy', async (req, res) => {
 });
 
 /**
- * @route POST /register
- * @desc Registers a deployed identity in the main registry.
- * @body { "userAddress": "0x...", "identityAddress": "0x...", "countryCode": "US" }
- * @returns { "transactionHash": "0x..." } or an error message.
+ * @route GET /claims/topics
+ * @desc Lists the claim topics the server can issue, with their claim data schema.
+ * @returns [{ "key": "KYC", "topic": 42, "fields": [...], ... }]
  */
-app.post('/signature', async (req, res) => {
-    const { userAddress, identityAddress } = req.body;
+app.get('/claims/topics', (req, res) => {
+    res.status(200).json(listClaimTopics());
+});
+
+/**
+ * @route POST /claims/revoke
+ * @desc Revokes a claim on our ClaimIssuer contract, by identity and topic or by the raw claim signature.
+ *       The revocation is logged with the API key that made it and the reason.
+ *       Requires an operator or compliance API key.
+ * @body { "identityAddress": "0x...", "topic": "KYC" | 42, "reason": "..." } or { "signature": "0x...", "reason": "..." }
+ * @returns The revocation record or an error message (404 unknown claim, 409 already revoked).
+ */
+app.post('/claims/revoke', requireRole('operator', 'compliance'), async (req, res) => {
+    try {
+        const revocation = await revokeClaim(req.body, `${req.apiKey.name} (${req.apiKey.id})`);
+        res.status(200).json(revocation);
+    } catch (error) {
+        console.error("Error revoking claim:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to revoke claim.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /claims/verify
+ * @desc Checks a claim against both signing schemes used in this repo (abi.encode + EIP-191 and
+ *       abi.encodePacked + raw digest, plus their crossovers): recovers the signer offline, cross-checks
+ *       with Identity.getRecoveredAddress and reports which scheme matched a CLAIM key of the issuer,
+ *       the issuer's isClaimValid and whether the trusted issuers registry trusts the issuer for the topic.
+ *       signature and data may be left out to verify the claim stored on the identity.
+ *       Requires an API key (any role).
+ * @body { "identityAddress": "0x...", "topic": 42, "issuer": "0x...", "signature": "0x...", "data": "0x..." }
+ * @returns { "matchedScheme", "schemes": [...], "onChain": {...}, "trust": {...}, "valid" } or an error message.
+ */
+app.post('/claims/verify', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const result = await verifyClaim(req.body);
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to verify claim.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /claims/:identity/:topic/status
+ * @desc Returns whether our issuer's claim on an identity is revoked, with the local revocation record if any.
+ *       Requires an API key (any role).
+ * @param {string} identity - The identity contract address in the URL path.
+ * @param {string} topic - The catalogue topic name or id in the URL path.
+ * @returns { "identityAddress", "topic", "claimId", "onChain", "revoked", "revocation" } or an error message.
+ */
+app.get('/claims/:identity/:topic/status', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const status = await getClaimStatus(req.params.identity, req.params.topic);
+        res.status(200).json(status);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read claim status.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /signature
+ * @desc Issues a claim signature for a user's identity (KYC, topic 42, by default).
+ *       Requires a SIWE session for userAddress and an approved verification covering the topic (403 otherwise).
+ *       identityAddress must be the identity the IdFactory links to userAddress, or the identity registry's for a
+ *       wallet recovered without a factory link (403 otherwise).
+ *       The topic must be required by the claim topics registry (422 otherwise).
+ * @body { "userAddress": "0x...", "identityAddress": "0x...", "topic": "KYC" | 42 (optional) }
+ * @returns The signed claim (with its decoded data fields) or an error message.
+ */
+app.post('/signature', requireWalletSession, async (req, res) => {
+    const { userAddress, identityAddress, topic = 'KYC' } = req.body;
     if (!userAddress || !identityAddress ) {
-        return res.status(400).json({ error: 'userAddress, identityAddress, and countryCode are required.' });
+        return res.status(400).json({ error: 'userAddress and identityAddress are required.' });
     }
 
     try {
         console.log("Generating signature for:", userAddress, identityAddress);
-        const signature = await generateClaimSignature(userAddress, identityAddress);
+        const signature = await issueVerifiedClaim(userAddress, identityAddress, topic);
         res.status(200).json( signature );
     } catch (error) {
         console.error("Error generating signature:", error);
-        res.status(500).json({ error: 'Failed to register identity.', details: error.message });
+        res.status(error.statusCode || 500).json({ error: 'Failed to generate claim signature.', details: error.message });
     }
 });
 
-app.post('/register', async (req, res) => {
+/**
+ * @route POST /register
+ * @desc Registers a deployed identity in the main registry.
+ *       Requires an operator or compliance API key (X-API-Key) and the investor's sign-in session for userAddress
+ *       (Authorization: Bearer), so an operator cannot register a wallet without its owner signing in.
+ * @body { "userAddress": "0x...", "identityAddress": "0x...", "countryCode": 840 }
+ * @returns { "transactionHash": "0x..." } or an error message.
+ */
+app.post('/register', requireRole('operator', 'compliance'), requireWalletSession, async (req, res) => {
     const { userAddress, identityAddress, countryCode } = req.body;
     if (!userAddress || !identityAddress || !countryCode) {
         return res.status(400).json({ error: 'userAddress, identityAddress, and countryCode are required.' });
@@ -81,21 +299,799 @@ app.post('/register', async (req, res) => {
     }
 });
 
-app.post('/invest', async (req, res) => {
-    const { to, amount, tokenAddress } = req.body;
-    if (!to || !amount || !tokenAddress) {
-        return res.status(400).json({ error: 'to, amount, and tokenAddress are required.' });
+/**
+ * @route POST /invest
+ * @desc Mints tokens to an investor. Requires an operator API key.
+ *       Nothing is sent unless the pre-flight checks pass (recipient verified and not frozen, token not paused,
+ *       compliance canTransfer); otherwise responds 422 with each failed check and its remedy.
+ * @body { "to": "0x...", "amount": "1000.5", "token": "trwa" (catalogue id or address, optional, defaults to the profile's token) }
+ *       amount is a decimal string converted with the token's decimals. `tokenAddress` is still accepted for `token`.
+ * @returns { "transactionHash": "0x..." } or an error message (with `failedChecks` on 422).
+ */
+app.post('/invest', requireRole('operator'), async (req, res) => {
+    const { to, amount, token, tokenAddress } = req.body;
+    if (!to || !amount) {
+        return res.status(400).json({ error: 'to and amount are required.' });
     }
     try {
-        const txHash = await mintTokens(to, amount, tokenAddress);
+        const txHash = await mintTokens(to, amount, token || tokenAddress);
         console.log("Transaction hash in server:", txHash);
         res.status(200).json({ transactionHash: txHash });
     }
     catch (error) {
-        res.status(500).json({ error: 'Failed to mint tokens.', details: error.message });
+        res.status(error.statusCode || 500).json({ error: 'Failed to mint tokens.', details: error.message, failedChecks: error.checks });
     }  
 });
 
+/**
+ * @route POST /invest/preflight
+ * @desc Runs the /invest pre-flight checks without minting. Requires an operator or compliance API key.
+ * @body { "to": "0x...", "amount": "1000.5", "token": "trwa" (catalogue id or address, optional) }
+ * @returns { "eligible": true, "checks": [{ "check", "passed", "detail", "remedy" }] } or an error message.
+ */
+app.post('/invest/preflight', requireRole('operator', 'compliance'), async (req, res) => {
+    const { to, amount, token, tokenAddress } = req.body;
+    if (!to || !amount) {
+        return res.status(400).json({ error: 'to and amount are required.' });
+    }
+    try {
+        res.status(200).json(await checkMintEligibility(to, amount, token || tokenAddress));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to run mint pre-flight checks.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route POST /distributions
+ * @desc Mints or transfers tokens to many investors at once. Every row is checked against the identity registry
+ *       first; valid rows are sent in batchTransfer / batchForcedTransfer calls of up to batchSize rows, and mints
+ *       as one mint call per row (the token has no batchMint), all queued back to back.
+ *       Accepts JSON, or a CSV body (Content-Type: text/csv, "wallet,amount" lines) with the options in the query
+ *       string. Amounts are decimal strings converted with the token's decimals. Requires an operator API key.
+ * @body { "rows": [{ "wallet": "0x...", "amount": "1000.5" }], "mode": "mint" | "transfer" | "forcedTransfer",
+ *         "token": "trwa" (catalogue id or address, optional), "from": "0x..." (forcedTransfer only), "batchSize": 50 }
+ * @returns The distribution report with one entry per row (status sent, rejected or failed, with the
+ *          transaction hash or the reason), or an error message.
+ */
+app.post('/distributions', requireRole('operator'), express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+    const request = typeof req.body === 'string'
+        ? { ...req.query, rows: parseDistributionCsv(req.body) }
+        : req.body;
+    try {
+        const distribution = await distributeTokens(request, `${req.apiKey.name} (${req.apiKey.id})`);
+        res.status(200).json(distribution);
+    } catch (error) {
+        console.error("Error distributing tokens:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to distribute tokens.', details: error.shortMessage || error.message, rows: error.rows });
+    }
+});
+
+/**
+ * @route GET /distributions/:distributionId
+ * @desc Returns a stored distribution report. Requires an operator or compliance API key.
+ * @returns The distribution report or an error message.
+ */
+app.get('/distributions/:distributionId', requireRole('operator', 'compliance'), (req, res) => {
+    const distribution = getDistribution(req.params.distributionId);
+    if (!distribution) {
+        return res.status(404).json({ error: 'Distribution not found.' });
+    }
+    res.status(200).json(distribution);
+});
+
+/**
+ * @route POST /subscriptions
+ * @desc Opens a subscription order: the investor pays paymentAmount of the network's stablecoin to the treasury,
+ *       and once that payment has the configured number of confirmations the server mints tokenAmount to them.
+ *       Payments are matched to orders by sender and exact amount. The mint pre-flight checks run up front.
+ *       Requires an operator API key.
+ *       Both amounts are decimal strings, converted with the token's and the stablecoin's decimals.
+ * @body { "investorAddress": "0x...", "tokenAmount": "1000", "paymentAmount": "1000.00", "token": "trwa" (catalogue id or address, optional) }
+ * @returns The order with the stablecoin, treasury and paymentAmount to pay, or an error message.
+ */
+app.post('/subscriptions', requireRole('operator'), async (req, res) => {
+    try {
+        const order = await createSubscriptionOrder(req.body, `${req.apiKey.name} (${req.apiKey.id})`);
+        res.status(201).json(order);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to create subscription order.', details: error.shortMessage || error.message, failedChecks: error.checks });
+    }
+});
+
+/**
+ * @route GET /subscriptions
+ * @desc Lists subscription orders, newest first, optionally filtered with ?status= (awaiting_payment, paid,
+ *       minted, cancelled) and ?investorAddress=. Requires an API key (any role).
+ * @returns [order, ...]
+ */
+app.get('/subscriptions', requireRole('operator', 'compliance', 'readonly'), (req, res) => {
+    const { status, investorAddress } = req.query;
+    res.status(200).json(listSubscriptionOrders({ status, investorAddress }));
+});
+
+/**
+ * @route GET /subscriptions/payments
+ * @desc Lists the stablecoin payments seen to the treasury, optionally filtered with ?status=matched|unmatched.
+ *       Unmatched payments need an operator to follow up. Requires an operator or compliance API key.
+ * @returns [payment, ...]
+ */
+app.get('/subscriptions/payments', requireRole('operator', 'compliance'), (req, res) => {
+    res.status(200).json(listSubscriptionPayments({ status: req.query.status }));
+});
+
+/**
+ * @route POST /subscriptions/reconcile
+ * @desc Runs a payment reconciliation pass now instead of waiting for the next poll. Requires an operator API key.
+ * @returns { "reconciled": true } or an error message.
+ */
+app.post('/subscriptions/reconcile', requireRole('operator'), async (req, res) => {
+    try {
+        await reconcileSubscriptions();
+        res.status(200).json({ reconciled: true });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to reconcile subscription payments.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /subscriptions/:orderId
+ * @desc Returns a subscription order with its payment and mint. Requires an API key (any role).
+ * @returns The order or an error message.
+ */
+app.get('/subscriptions/:orderId', requireRole('operator', 'compliance', 'readonly'), (req, res) => {
+    try {
+        res.status(200).json(getSubscriptionOrder(req.params.orderId));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read subscription order.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /subscriptions/:orderId/cancel
+ * @desc Cancels an order that has not been paid. Requires an operator API key.
+ * @returns The cancelled order or an error message.
+ */
+app.post('/subscriptions/:orderId/cancel', requireRole('operator'), (req, res) => {
+    try {
+        res.status(200).json(cancelSubscriptionOrder(req.params.orderId, `${req.apiKey.name} (${req.apiKey.id})`));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to cancel subscription order.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /tokens
+ * @desc Lists the token catalogue of the active network with each token's cached name, symbol, decimals,
+ *       onchainID, compliance and identityRegistry. The profile's token is always included.
+ *       Requires an API key (any role).
+ * @returns [{ "id", "address", "name", "symbol", "decimals", "onchainID", "compliance", "identityRegistry", ... }]
+ */
+app.get('/tokens', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await listTokens());
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to list tokens.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route POST /tokens
+ * @desc Registers an ERC-3643 token in the catalogue, or refreshes the cached metadata of a registered one.
+ *       The indexer backfills the token from deployedAtBlock, which cap tables need for tokens minted before
+ *       the indexer's startBlock (GET /tokens/:id/captable is a 422 without it). Requires an operator API key.
+ * @body { "address": "0x...", "id": "trwa" (optional, defaults to the lowercased symbol),
+ *         "deployedAtBlock": 1234567 (optional, the token's deployment block; kept when refreshing) }
+ * @returns The catalogue entry or an error message.
+ */
+app.post('/tokens', requireRole('operator'), async (req, res) => {
+    try {
+        res.status(200).json(await registerToken(req.body.address, req.body.id, req.body.deployedAtBlock));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to register token.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route POST /tokens/deploy
+ * @desc Deploys a new token suite (token, identity registry and storage, trusted issuers and claim topics
+ *       registries, modular compliance) through the network's TREXFactory and registers the token in the catalogue.
+ *       The server's registry agent and token agent are always made agents. The new token starts paused;
+ *       unpause it with POST /tokens/:id/agent/unpause. Requires an operator API key.
+ * @body {
+ *   "name": "Fund A", "symbol": "FUNDA", "decimals": 6, "id": "fund-a" (optional), "salt": "fund-a" (optional),
+ *   "owner": "0x..." (optional, defaults to the deployer),
+ *   "irs": "0x..." | "new" (optional, the identity registry storage to share; defaults to the profile's, which the
+ *   factory must own to bind it (422 otherwise), and "new" deploys an empty one),
+ *   "onchainID": "0x..." (optional, a token identity is created when omitted),
+ *   "irAgents": ["0x..."], "tokenAgents": ["0x..."] (optional, extra agents),
+ *   "claimTopics": ["KYC", 43] (optional, defaults to ["KYC"]),
+ *   "trustedIssuers": [{ "address": "0x...", "claimTopics": ["KYC"] }] (optional, defaults to the profile's claimIssuer),
+ *   "complianceModules": [{ "address": "0x...", "settings": ["0x..."] }] (optional)
+ * }
+ * @returns { "suite": { "token", "identityRegistry", "compliance", ... }, "token": catalogue entry } or an error message.
+ */
+app.post('/tokens/deploy', requireRole('operator'), async (req, res) => {
+    try {
+        res.status(201).json(await deployTokenSuite(req.body, `${req.apiKey.name} (${req.apiKey.id})`));
+    } catch (error) {
+        console.error("Error deploying token suite:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to deploy token suite.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /tokens/:id
+ * @desc Returns a catalogue entry by id or address. Requires an API key (any role).
+ * @returns The catalogue entry or an error message.
+ */
+app.get('/tokens/:id', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await getToken(req.params.id));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read token.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /tokens/:id/suite
+ * @desc Returns the addresses and deployment details of a token deployed with POST /tokens/deploy.
+ *       Requires an API key (any role).
+ * @returns The suite record or an error message.
+ */
+app.get('/tokens/:id/suite', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const suite = getTokenSuite((await getToken(req.params.id)).address);
+        if (!suite) {
+            return res.status(404).json({ error: 'Token was not deployed through the factory.' });
+        }
+        res.status(200).json(suite);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read token suite.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /tokens/:id/captable
+ * @desc Lists the token's holders as of a block with wallet, identity, country, balance and frozen amount.
+ *       Balances are rebuilt from the indexed Transfer history, so the block must be indexed already; totals are
+ *       reconciled against totalSupply at that block, and a table that does not reconcile is a 422 unless
+ *       allowUnreconciled=true. Requires an operator or compliance API key.
+ * @query block (optional, defaults to the latest indexed block), format ("json" or "csv", default json),
+ *        allowUnreconciled ("true" to return a table whose holders do not add up to totalSupply)
+ * @returns JSON { "block", "timestamp", "holders": [...], "totals": { "holders", "balance", "frozen", "totalSupply", "difference", "reconciled" } },
+ *          or CSV ending with TOTAL, TOTAL_SUPPLY and DIFFERENCE lines (also in X-Cap-Table-* headers), or an error
+ *          message (409 block not indexed yet, 422 when the token had a supply before its indexed history starts,
+ *          i.e. it predates the indexer's startBlock and has no deployedAtBlock (see POST /tokens), 422 with the
+ *          totals when not reconciled).
+ */
+app.get('/tokens/:id/captable', requireRole('operator', 'compliance'), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv.' });
+        }
+        const capTable = await getCapTable(req.params.id, req.query.block, { allowUnreconciled: req.query.allowUnreconciled === 'true' });
+        if (format === 'json') {
+            return res.status(200).json(capTable);
+        }
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${capTable.tokenId}-captable-${capTable.block}.csv"`,
+            'X-Cap-Table-Block': String(capTable.block),
+            'X-Cap-Table-Total-Supply': capTable.totals.totalSupply,
+            'X-Cap-Table-Holders-Total': capTable.totals.balance,
+            'X-Cap-Table-Reconciled': String(capTable.totals.reconciled)
+        });
+        res.status(200).send(capTableToCsv(capTable));
+    } catch (error) {
+        console.error("Error building cap table:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to build cap table.', details: error.shortMessage || error.message, totals: error.totals });
+    }
+});
+
+/**
+ * @route GET /tokens/:id/agent/state
+ * @desc Reads the token's paused state and, with ?address=0x..., the holder's balance, isFrozen and frozen tokens.
+ *       Requires an API key (any role).
+ * @param {string} id - The token's catalogue id or address in the URL path.
+ * @returns { "tokenId", "tokenAddress", "paused", "holder": { "address", "balance", "isFrozen", "frozenTokens" } }
+ *          with decimal amounts, or an error message.
+ */
+app.get('/tokens/:id/agent/state', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const state = await getTokenAgentState(req.params.id, req.query.address);
+        res.status(200).json(state);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read token agent state.', details: error.message });
+    }
+});
+
+// Token agent routes: path -> agent action and the API key roles allowed to run it
+const TOKEN_AGENT_ROUTES = {
+    'pause': { action: 'pause', roles: ['operator'] },
+    'unpause': { action: 'unpause', roles: ['operator'] },
+    'freeze': { action: 'freeze', roles: ['operator', 'compliance'] },
+    'unfreeze': { action: 'unfreeze', roles: ['operator', 'compliance'] },
+    'freeze-partial': { action: 'freezePartial', roles: ['operator', 'compliance'] },
+    'unfreeze-partial': { action: 'unfreezePartial', roles: ['operator', 'compliance'] },
+    'forced-transfer': { action: 'forcedTransfer', roles: ['operator'] },
+    'burn': { action: 'burn', roles: ['operator'] }
+};
+
+/**
+ * @route POST /tokens/:id/agent/:action
+ * @desc Runs an ERC-3643 agent action with the token agent signer, logs it with its reason code and
+ *       returns the state read back after mining. Actions and bodies (amounts as decimal strings):
+ *         pause, unpause                      { reasonCode, note }                         operator
+ *         freeze, unfreeze                    { address, reasonCode, note }                operator, compliance
+ *         freeze-partial, unfreeze-partial    { address, amount, reasonCode, note }        operator, compliance
+ *         forced-transfer                     { from, to, amount, reasonCode, note }       operator
+ *         burn                                { address, amount, reasonCode, note }        operator
+ *       reasonCode is mandatory, one of tokenAgent.REASON_CODES.
+ * @returns { "action", "transactionHash", "reasonCode", "state": {...} } or an error message.
+ */
+for (const [path, { action, roles }] of Object.entries(TOKEN_AGENT_ROUTES)) {
+    app.post(`/tokens/:id/agent/${path}`, requireRole(...roles), async (req, res) => {
+        try {
+            const result = await runAgentAction(req.params.id, action, req.body, `${req.apiKey.name} (${req.apiKey.id})`);
+            res.status(200).json(result);
+        } catch (error) {
+            console.error(`Error running token agent action ${action}:`, error);
+            res.status(error.statusCode || 500).json({ error: `Failed to ${path.replace('-', ' ')}.`, details: error.shortMessage || error.message });
+        }
+    });
+}
+
+/**
+ * @route GET /tokens/:id/compliance/modules
+ * @desc Lists the modules bound to the token's modular compliance. Requires an API key (any role).
+ * @returns { "compliance", "tokenBound", "modules": [{ "address", "name" }] } or an error message.
+ */
+app.get('/tokens/:id/compliance/modules', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await listComplianceModules(req.params.id));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to list compliance modules.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /tokens/:id/compliance/modules/:module
+ * @desc Reports whether a module is bound to the token's compliance. Requires an API key (any role).
+ * @returns { "address", "name", "bound" } or an error message.
+ */
+app.get('/tokens/:id/compliance/modules/:module', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await getComplianceModule(req.params.id, req.params.module));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read compliance module.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route POST /tokens/:id/compliance/modules
+ * @desc Binds a module to the token's compliance with the deployer signer (the compliance owner).
+ *       Requires an operator or compliance API key.
+ * @body { "module": "0x...", "note": "..." }
+ * @returns The change record with the bound modules read back after mining, or an error message (409 already bound).
+ */
+app.post('/tokens/:id/compliance/modules', requireRole('operator', 'compliance'), async (req, res) => {
+    try {
+        res.status(200).json(await changeCompliance(req.params.id, 'addModule', req.body.module, req.body, `${req.apiKey.name} (${req.apiKey.id})`));
+    } catch (error) {
+        console.error("Error adding compliance module:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to add compliance module.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route DELETE /tokens/:id/compliance/modules/:module
+ * @desc Unbinds a module from the token's compliance with the deployer signer.
+ *       Requires an operator or compliance API key.
+ * @body { "note": "..." } (optional)
+ * @returns The change record with the bound modules read back after mining, or an error message (409 not bound).
+ */
+app.delete('/tokens/:id/compliance/modules/:module', requireRole('operator', 'compliance'), async (req, res) => {
+    try {
+        res.status(200).json(await changeCompliance(req.params.id, 'removeModule', req.params.module, req.body || {}, `${req.apiKey.name} (${req.apiKey.id})`));
+    } catch (error) {
+        console.error("Error removing compliance module:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to remove compliance module.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route POST /tokens/:id/compliance/modules/:module/call
+ * @desc Configures a bound module through the compliance's callModuleFunction, with the deployer signer.
+ *       Requires an operator or compliance API key.
+ * @body { "callData": "0x..." } or { "function": "batchAllowCountries(uint16[])", "args": [[840, 826]] }, plus "note"
+ * @returns The change record (with the callData sent), or an error message (409 module not bound).
+ */
+app.post('/tokens/:id/compliance/modules/:module/call', requireRole('operator', 'compliance'), async (req, res) => {
+    try {
+        res.status(200).json(await changeCompliance(req.params.id, 'callModuleFunction', req.params.module, req.body, `${req.apiKey.name} (${req.apiKey.id})`));
+    } catch (error) {
+        console.error("Error calling compliance module:", error);
+        res.status(error.statusCode || 500).json({ error: 'Failed to call compliance module.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route POST /compliance/simulate
+ * @desc Runs the token's compliance canTransfer for a transfer without sending anything, and checks every bound
+ *       module on its own to report which ones block it. Leave out "from" to simulate a mint.
+ *       Requires an API key (any role).
+ * @body { "token": "trwa" (optional, defaults to the profile's token), "from": "0x...", "to": "0x...", "amount": "12.5" }
+ * @returns { "canTransfer", "blockedBy": [{ "address", "name" }], "modules": [{ "address", "name", "passes", "error" }] }
+ */
+app.post('/compliance/simulate', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await simulateTransfer(req.body));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to simulate transfer.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /tokens/:id/registries
+ * @desc Reads the claim topics the token requires and the trusted issuers with the topics each may attest.
+ *       Requires an API key (any role).
+ * @returns { "claimTopicsRegistry", "trustedIssuersRegistry", "requiredTopics": [{ "topic", "name" }],
+ *            "trustedIssuers": [{ "address", "claimTopics" }] } or an error message.
+ */
+app.get('/tokens/:id/registries', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await getClaimRegistries(req.params.id));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read claim registries.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /tokens/:id/registries/report
+ * @desc Consistency report of the two registries: required topics no trusted issuer may attest, and issuers
+ *       trusted for topics that are no longer required. Requires an API key (any role).
+ * @returns { "consistent", "issues": [{ "type", "topic", "name", "issuer", "message" }], ... } or an error message.
+ */
+app.get('/tokens/:id/registries/report', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await getRegistryConsistencyReport(req.params.id));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to build registry report.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * Claim registry routes: method, path and the registry change it makes; path parameters and the body are merged.
+ * Topics are catalogue names ("KYC") or numeric ids. All changes are signed by the deployer (the registries'
+ * owner), require an operator or compliance API key, take an optional "note" and return the change record
+ * with the consistency report read back after mining (409 when the registry is already in that state).
+ *   POST   /tokens/:id/registries/topics                   { "topic": "KYC" }
+ *   DELETE /tokens/:id/registries/topics/:topic
+ *   POST   /tokens/:id/registries/issuers                  { "issuer": "0x...", "claimTopics": ["KYC", "AML"] }
+ *   PUT    /tokens/:id/registries/issuers/:issuer/topics   { "claimTopics": ["KYC"] }
+ *   DELETE /tokens/:id/registries/issuers/:issuer
+ */
+const CLAIM_REGISTRY_ROUTES = [
+    { method: 'post', path: '/topics', change: 'addClaimTopic', label: 'add claim topic' },
+    { method: 'delete', path: '/topics/:topic', change: 'removeClaimTopic', label: 'remove claim topic' },
+    { method: 'post', path: '/issuers', change: 'addTrustedIssuer', label: 'add trusted issuer' },
+    { method: 'put', path: '/issuers/:issuer/topics', change: 'updateIssuerClaimTopics', label: 'update issuer claim topics' },
+    { method: 'delete', path: '/issuers/:issuer', change: 'removeTrustedIssuer', label: 'remove trusted issuer' }
+];
+
+for (const { method, path, change, label } of CLAIM_REGISTRY_ROUTES) {
+    app[method](`/tokens/:id/registries${path}`, requireRole('operator', 'compliance'), async (req, res) => {
+        try {
+            const { id, ...pathParams } = req.params;
+            const result = await changeClaimRegistry(id, change, { ...req.body, ...pathParams }, `${req.apiKey.name} (${req.apiKey.id})`);
+            res.status(200).json(result);
+        } catch (error) {
+            console.error(`Error running registry change ${change}:`, error);
+            res.status(error.statusCode || 500).json({ error: `Failed to ${label}.`, details: error.shortMessage || error.message });
+        }
+    });
+}
+
+/**
+ * @route POST /onboard
+ * @desc Runs the full onboarding workflow (deploy identity, configure keys, issue KYC claim, register).
+ *       Calling it again for the same wallet resumes from the last completed step.
+ *       Requires a SIWE session for userAddress.
+ * @body { "userAddress": "0x...", "countryCode": 840 }
+ * @returns The onboarding workflow record, or an error message with the workflow's state.
+ */
+app.post('/onboard', requireWalletSession, async (req, res) => {
+    const { userAddress, countryCode } = req.body;
+    if (!userAddress || countryCode === undefined) {
+        return res.status(400).json({ error: 'userAddress and countryCode are required.' });
+    }
+    if (!ethers.isAddress(userAddress)) {
+        return res.status(400).json({ error: 'userAddress is not a valid address.' });
+    }
+
+    try {
+        const workflow = await onboardInvestor(userAddress, countryCode);
+        res.status(200).json(workflow);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Onboarding failed.', details: error.message, workflow: error.workflow });
+    }
+});
+
+/**
+ * @route GET /onboard/:userAddress
+ * @desc Returns the stored onboarding workflow for a wallet. Requires an API key (any role).
+ * @param {string} userAddress - The user's wallet address in the URL path.
+ * @returns The onboarding workflow record or an error message.
+ */
+app.get('/onboard/:userAddress', requireRole('operator', 'compliance', 'readonly'), (req, res) => {
+    const workflow = getOnboardingStatus(req.params.userAddress);
+    if (!workflow) {
+        return res.status(404).json({ error: 'No onboarding found for this address.' });
+    }
+    res.status(200).json(workflow);
+});
+
+/**
+ * @route GET /identities/:identity/keys
+ * @desc Lists an identity's ERC-734 keys by purpose, flagging the server's own key. Requires an API key (any role).
+ * @param {string} identity - The identity contract address in the URL path.
+ * @returns { "identityAddress", "serverKey", "purposes": { "MANAGEMENT": [...], "ACTION": [...], "CLAIM": [...], "ENCRYPTION": [...] } }
+ */
+app.get('/identities/:identity/keys', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const keys = await listIdentityKeys(req.params.identity);
+        res.status(200).json(keys);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to list identity keys.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /identities/:identity/keys
+ * @desc Adds a key with a purpose to an identity the server still manages. Requires an operator API key.
+ * @param {string} identity - The identity contract address in the URL path.
+ * @body { "key": "0x<address or bytes32 key>", "purpose": 1 | 2 | 3 | 4, "keyType": 1 (optional, ECDSA) }
+ * @returns { "transactionHash": "0x..." | null } or an error message.
+ */
+app.post('/identities/:identity/keys', requireRole('operator'), async (req, res) => {
+    const { key, purpose, keyType } = req.body;
+    if (!key || purpose === undefined) {
+        return res.status(400).json({ error: 'key and purpose are required.' });
+    }
+    try {
+        const txHash = await addIdentityKey(req.params.identity, key, purpose, keyType);
+        res.status(200).json({ transactionHash: txHash });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to add identity key.', details: error.message });
+    }
+});
+
+/**
+ * @route DELETE /identities/:identity/keys/:key
+ * @desc Removes a purpose from an identity key. Refuses (409) to remove the last MANAGEMENT key.
+ *       Requires an operator API key.
+ * @param {string} identity - The identity contract address in the URL path.
+ * @param {string} key - The address or bytes32 key in the URL path.
+ * @query purpose - The purpose to remove (1 MANAGEMENT, 2 ACTION, 3 CLAIM, 4 ENCRYPTION).
+ * @returns { "transactionHash": "0x..." } or an error message.
+ */
+app.delete('/identities/:identity/keys/:key', requireRole('operator'), async (req, res) => {
+    if (req.query.purpose === undefined) {
+        return res.status(400).json({ error: 'The purpose query parameter is required.' });
+    }
+    try {
+        const txHash = await removeIdentityKey(req.params.identity, req.params.key, req.query.purpose);
+        res.status(200).json({ transactionHash: txHash });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to remove identity key.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /identities/:identity/custody/handover
+ * @desc Hands custody of the identity over to its investor: removes the server's MANAGEMENT key once the
+ *       investor's wallet is confirmed as a MANAGEMENT key. Refuses if that would leave the identity without a manager.
+ *       Requires a SIWE session for userAddress, whose identity (per the ID factory) must be :identity.
+ * @param {string} identity - The identity contract address in the URL path.
+ * @body { "userAddress": "0x..." }
+ * @returns { "identityAddress", "userAddress", "transactionHash" } or an error message.
+ */
+app.post('/identities/:identity/custody/handover', requireWalletSession, async (req, res) => {
+    try {
+        const result = await handOverCustody(req.params.identity, req.body.userAddress);
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to hand over custody.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /identities/:identity/wallets
+ * @desc Lists the wallets the ID factory links to an identity, with their identity registry status.
+ *       Requires an API key (any role).
+ * @param {string} identity - The identity contract address in the URL path.
+ * @returns [{ "wallet": "0x...", "inRegistry": true, "country": 840 }] or an error message.
+ */
+app.get('/identities/:identity/wallets', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const wallets = await listLinkedWallets(req.params.identity);
+        res.status(200).json(wallets);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to list linked wallets.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /identities/:identity/wallets
+ * @desc Links another wallet to an identity and registers it in the identity registry with the same country.
+ *       Authorized by an already linked wallet signing (personal_sign):
+ *         "Link wallet <newWallet> to ONCHAINID <identity>\nSigned by: <signer>\nIssued at: <ISO timestamp>"
+ *       IdFactory.linkWallet must be sent by the signer itself; until it is mined this responds 409 with
+ *       `linkTransaction` to send, after which the same request can be retried.
+ * @param {string} identity - The identity contract address in the URL path.
+ * @body { "newWallet": "0x...", "signer": "0x...", "signature": "0x...", "issuedAt": "2025-01-01T00:00:00.000Z" }
+ * @returns The link record or an error message.
+ */
+app.post('/identities/:identity/wallets', async (req, res) => {
+    const { newWallet, signer, signature, issuedAt } = req.body;
+    try {
+        const link = await linkWallet(req.params.identity, newWallet, { signer, signature, issuedAt });
+        res.status(200).json(link);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to link wallet.', details: error.message, linkTransaction: error.linkTransaction });
+    }
+});
+
+/**
+ * @route DELETE /identities/:identity/wallets/:wallet
+ * @desc Unlinks a wallet from an identity and removes it from the identity registry.
+ *       Authorized by another linked wallet signing (personal_sign):
+ *         "Unlink wallet <wallet> from ONCHAINID <identity>\nSigned by: <signer>\nIssued at: <ISO timestamp>"
+ *       IdFactory.unlinkWallet must be sent by the signer itself; until it is mined this responds 409 with
+ *       `unlinkTransaction` to send.
+ * @param {string} identity - The identity contract address in the URL path.
+ * @param {string} wallet - The wallet to unlink in the URL path.
+ * @body { "signer": "0x...", "signature": "0x...", "issuedAt": "2025-01-01T00:00:00.000Z" }
+ * @returns The unlink record or an error message.
+ */
+app.delete('/identities/:identity/wallets/:wallet', async (req, res) => {
+    const { signer, signature, issuedAt } = req.body || {};
+    try {
+        const unlink = await unlinkWallet(req.params.identity, req.params.wallet, { signer, signature, issuedAt });
+        res.status(200).json(unlink);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to unlink wallet.', details: error.message, unlinkTransaction: error.unlinkTransaction });
+    }
+});
+
+/**
+ * @route POST /recovery/cases
+ * @desc Opens a lost-wallet recovery case. The investor then proves control of the new wallet and a second
+ *       operator approves it (see POST /recovery/cases/:caseId/approve for the steps). Requires an operator API key.
+ * @body { "lostWallet": "0x...", "newWallet": "0x...", "tokens": ["0x..."] (optional, defaults to the profile's token), "note": "..." }
+ * @returns The case record with `proofMessage`, the message the investor signs with the new wallet, or an error message.
+ */
+app.post('/recovery/cases', requireRole('operator'), async (req, res) => {
+    try {
+        const recoveryCase = await openRecoveryCase(req.body, req.apiKey);
+        res.status(201).json(recoveryCase);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to open recovery case.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /recovery/cases/:caseId
+ * @desc Returns a recovery case with the status and result of each step. Requires an operator or compliance API key.
+ * @returns The case record or an error message.
+ */
+app.get('/recovery/cases/:caseId', requireRole('operator', 'compliance'), (req, res) => {
+    try {
+        res.status(200).json(getRecoveryCase(req.params.caseId));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read recovery case.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /recovery/cases/:caseId/proof
+ * @desc Submits the investor's proof of control of the new wallet: a personal_sign signature from the new
+ *       wallet over the case's `proofMessage`. The signature is the authorization; no API key is needed.
+ * @body { "signature": "0x..." }
+ * @returns The case record, now awaiting approval, or an error message.
+ */
+app.post('/recovery/cases/:caseId/proof', (req, res) => {
+    try {
+        res.status(200).json(submitRecoveryProof(req.params.caseId, req.body.signature));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to submit recovery proof.', details: error.message });
+    }
+});
+
+/**
+ * @route POST /recovery/cases/:caseId/approve
+ * @desc Approves a proven case and runs the recovery: moves the lost wallet's identity keys to the new wallet,
+ *       registers the new wallet, force-transfers each token balance and re-applies frozen amounts, unregisters
+ *       the lost wallet, then links the new wallet in the IdFactory. That link must be sent by another wallet
+ *       linked to the identity: the case stays awaiting_factory_link with `factoryLink.linkTransaction` to send
+ *       until it is mined, and approving again re-checks it. If only the lost wallet was linked, the case completes
+ *       unlinked (`factoryLink.identityFrom` "identityRegistry") and POST /signature accepts the registry's identity.
+ *       Must be a different operator API key from the one that opened the case. Approving a failed case again
+ *       resumes it at the failed step. Requires an operator API key.
+ * @returns The case record (completed or awaiting_factory_link), or an error message with the case's state.
+ */
+app.post('/recovery/cases/:caseId/approve', requireRole('operator'), async (req, res) => {
+    try {
+        const recoveryCase = await approveRecoveryCase(req.params.caseId, req.apiKey);
+        res.status(200).json(recoveryCase);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to run recovery.', details: error.shortMessage || error.message, recoveryCase: error.recoveryCase });
+    }
+});
+
+/**
+ * @route POST /recovery/cases/:caseId/cancel
+ * @desc Cancels a case that has not been approved yet. Requires an operator API key.
+ * @returns The cancelled case record or an error message.
+ */
+app.post('/recovery/cases/:caseId/cancel', requireRole('operator'), (req, res) => {
+    try {
+        res.status(200).json(cancelRecoveryCase(req.params.caseId, req.apiKey));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to cancel recovery case.', details: error.message });
+    }
+});
+
+/**
+ * @route GET /index/status
+ * @desc Reports the event indexer's progress (checkpoint, blocks behind the chain head, last error) and the
+ *       contracts it follows. Requires an API key (any role).
+ * @returns { "startBlock", "checkpoint", "latestBlock", "behind", "lastRunAt", "lastError", "sources", "events" }
+ */
+app.get('/index/status', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await getIndexerStatus());
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to read indexer status.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /index/events
+ * @desc Pages through indexed events, newest first: IdentityStored, IdentityUnstored, CountryModified, WalletLinked,
+ *       Transfer, TokensFrozen, AddressFrozen, ClaimAdded and ClaimRemoved. Requires an API key (any role).
+ *       e.g. who registered last week: ?event=IdentityStored&since=2026-10-12
+ * @query event (comma-separated), address (wallet or identity on either side), contract, fromBlock, toBlock,
+ *        since, until (ISO date or unix seconds), limit (1-500, default 100), cursor (nextCursor of the previous page)
+ * @returns { "items": [{ "event", "contract", "blockNumber", "timestamp", "transactionHash", "subject", "counterparty", "args", "amount" }],
+ *            "nextCursor" } or an error message.
+ */
+app.get('/index/events', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        res.status(200).json(await queryEvents(req.query));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to query indexed events.', details: error.shortMessage || error.message });
+    }
+});
+
+/**
+ * @route GET /investors/:address
+ * @desc Returns an investor's full identity status: registry membership, verification status, stored country,
+ *       the identity from the factory and from the registry storage, and each required claim topic with its validity.
+ *       Requires an API key (any role).
+ * @param {string} address - The investor's wallet address in the URL path.
+ * @returns { "inRegistry", "verified", "country", "identity": {...}, "requiredClaims": [...] } or an error message.
+ */
+app.get('/investors/:address', requireRole('operator', 'compliance', 'readonly'), async (req, res) => {
+    try {
+        const status = await getInvestorStatus(req.params.address);
+        res.status(200).json(status);
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: 'Failed to get investor status.', details: error.message });
+    }
+});
+
 /**
  * @route GET /identity/:userAddress
  * @desc Fetches the registered identity address for a user.
@@ -116,7 +1112,22 @@ app.get('/identity/:userAddress', async (req, res) => {
     }
 });
 
-// Start the server
-app.listen(port, () => {
-    console.log(`✅ Server is running on http://localhost:${port}`);
+// Load the signers and check the claim signer before accepting requests
+async function start() {
+    for (const { role, address, source } of await describeSigners()) {
+        console.log(`Signer ${role}: ${address} (${source})`);
+    }
+    await checkClaimSigner();
+
+    app.listen(port, () => {
+        console.log(`✅ Server is running on http://localhost:${port}`);
+        resumePendingOnboardings();
+        startPaymentWatcher();
+        startIndexer();
+    });
+}
+
+start().catch(error => {
+    console.error(`❌ Server failed to start: ${error.message}`);
+    process.exit(1);
 });